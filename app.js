@@ -16,65 +16,128 @@ const CONFIG = {
         API_KEY: 'pf_gemini_key',
         API_KEYS: 'pf_gemini_keys',  // Multiple keys support
         MODEL: 'pf_gemini_model',
-        HISTORY: 'pf_history',
+        PROVIDER: 'pf_provider',
+        TARGET_GENERATOR: 'pf_target_generator',
+        STREAMING: 'pf_streaming',
+        DIVERSITY: 'pf_diversity',
+        PALETTE_HINT: 'pf_palette_hint',
+        CORS_PROXY: 'pf_cors_proxy',
+        X_MIRROR: 'pf_x_mirror',              // Opt-in host serving X/Twitter posts with og tags
+        DIVERSITY_THRESHOLD: 'pf_diversity_threshold',
+        PRESETS: 'pf_presets',
+        SYSTEM_PROMPTS: 'pf_system_prompts',
+        ACTIVE_PRESET: 'pf_active_preset',
+        KEY_STATS: 'pf_key_stats',
+        SD_WEIGHTS: 'pf_sd_weights',
+        OPENAI_KEY: 'pf_openai_key',
+        OPENAI_MODEL: 'pf_openai_model',
+        OPENAI_BASE_URL: 'pf_openai_base_url',
+        OLLAMA_KEY: 'pf_ollama_key',
+        OLLAMA_MODEL: 'pf_ollama_model',
+        OLLAMA_BASE_URL: 'pf_ollama_base_url',
+        HISTORY: 'pf_history',                // Legacy localStorage history (migrated to IndexedDB)
+        PROMPT_HISTORY: 'pf_prompt_history',  // Older legacy history format (migrated to IndexedDB)
+        HISTORY_MIGRATED: 'pf_history_migrated',
         LICENSE_KEY: 'pf_license_key',
-        MACHINE_ID: 'pf_machine_id'
+        MACHINE_ID: 'pf_machine_id',
+        KEY_VAULT: 'pf_key_vault',            // Salt + passphrase check when API keys are encrypted
+        VAULT_AUTOLOCK: 'pf_vault_autolock'
     },
+    DB_NAME: 'promptforge',
+    DB_VERSION: 3,
+    DB_STORES: {
+        queue: 'id',     // Batch queue items (image Blob + status + prompts)
+        history: 'id',   // Generated prompts + thumbnail/full image Blobs + metadata
+        analysis: 'hash' // Detector results keyed by image content hash
+    },
+    HISTORY_LIMIT: 500,
+    DEFAULT_MAX_CHARS: 250,
+    // topP/topK null = provider default; maxOutputTokens was 500 before, which truncated output
+    GENERATION_DEFAULTS: { temperature: 0.9, topP: null, topK: null, maxOutputTokens: 8192 },
+    THUMB_SIZE: 240,
+    STOCK: {
+        TITLE_MAX_CHARS: 70,         // Adobe Stock recommends short titles
+        DESCRIPTION_MAX_CHARS: 200,  // Shutterstock description limit
+        KEYWORDS_MIN: 25,
+        KEYWORDS_MAX: 50             // Adobe Stock hard limit is 49, trimmed on export
+    },
+    JSON_REPAIR_ATTEMPTS: 2,           // Extra requests when structured output fails validation
+    DIVERSITY_RETRIES: 2,              // Regenerations per prompt that is too similar
+    DIVERSITY_DEFAULT_THRESHOLD: 0.5,  // Max similarity (0-1) to earlier prompts before regenerating
     MIN_DELAY_MS: 9000,  // Minimum delay between API calls (free tier)
     COOLDOWN_MAX_MS: 10 * 60 * 1000  // Max cooldown for rate limited keys
 };
 
-// Key rotation state
-const keyState = new Map(); // key -> {nextAt, fails}
+// Key rotation state (per-key stats persist in localStorage, see getKeyStats)
+let __keyStats = null; // keyId -> stats
 let lastApiCallAt = 0;
+const usedKeys = new Set(); // Keys that answered since the last takeUsedKeys()
 
 let state = {
     imageDataUrl: null,
+    imageName: null,        // Original filename of the preview image (stock CSV export)
+    imageSource: null,      // {video, seconds, timecode} when the preview is a grabbed video frame
     isGenerating: false,
+    isPaused: false,
+    run: null,              // Active/paused batch: {imageDataUrl, total, nextIndex, options}
+    abortController: null,  // Aborts in-flight fetch + sleeps on Pause/Stop
     prompts: [],
+    promptScores: [],       // Similarity (0..1) of each prompt to the earlier ones, null if unscored
     machineId: null,
     licenseValid: false
 };
 
-// Template Preset Configurations
-const TEMPLATE_PRESETS = {
-    product: {
+// Built-in template presets; user edits live in localStorage (see loadPresets)
+const DEFAULT_TEMPLATE_PRESETS = [
+    {
+        id: 'product',
+        name: 'Product',
         style: 'realistic',
         aspectRatio: '1:1',
         prefix: '',
         params: '--style raw --no human, isolated on white background'
     },
-    character: {
+    {
+        id: 'character',
+        name: 'Character',
         style: 'fantasy',
         aspectRatio: '3:2',
         prefix: '',
         params: 'full body, detailed, character design'
     },
-    logo: {
+    {
+        id: 'logo',
+        name: 'Logo',
         style: 'minimalist',
         aspectRatio: '1:1',
         prefix: '',
         params: 'vector, clean lines, simple, iconic'
     },
-    landscape: {
+    {
+        id: 'landscape',
+        name: 'Landscape',
         style: 'cinematic',
         aspectRatio: '16:9',
         prefix: '',
         params: 'wide angle, cinematic lighting, epic'
     },
-    portrait: {
+    {
+        id: 'portrait',
+        name: 'Portrait',
         style: 'realistic',
         aspectRatio: '3:2',
         prefix: '',
         params: 'portrait photography, professional lighting'
     },
-    anime: {
+    {
+        id: 'anime',
+        name: 'Anime',
         style: 'anime',
         aspectRatio: '9:16',
         prefix: '',
         params: 'anime style, detailed, vibrant colors'
     }
-};
+];
 
 // ========================================
 // Utility Functions
@@ -104,23 +167,88 @@ async function copyToClipboard(text) {
     }
 }
 
-function formatDate(date) {
-    return date.toLocaleDateString('id-ID', {
-        day: 'numeric', month: 'short', year: 'numeric',
-        hour: '2-digit', minute: '2-digit'
+// Section header that shows/hides its body, flipping the ▼/▲ arrow
+function bindCollapsible(toggleId, bodyId) {
+    el(toggleId)?.addEventListener('click', () => {
+        const body = el(bodyId);
+        const arrow = el(toggleId).querySelector('.toggle-arrow');
+        const open = body.style.display === 'none';
+        body.style.display = open ? 'block' : 'none';
+        if (arrow) arrow.textContent = open ? '▲' : '▼';
+    });
+}
+
+function switchTab(targetId) {
+    document.querySelectorAll('.ae-tab').forEach(t => t.classList.toggle('is-active', t.dataset.target === targetId));
+    document.querySelectorAll('.ae-panel').forEach(p => p.classList.remove('is-active'));
+    el(targetId)?.classList.add('is-active');
+}
+
+// ========================================
+// IndexedDB Storage
+// ========================================
+let __dbPromise = null;
+
+function openDB() {
+    if (!__dbPromise) {
+        __dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                for (const [name, keyPath] of Object.entries(CONFIG.DB_STORES)) {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+                }
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+    return __dbPromise;
+}
+
+// Run one request in its own transaction, resolving once it commits
+async function idbRequest(storeName, mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
     });
 }
 
+function idbGetAll(storeName) {
+    return idbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+function idbGet(storeName, key) {
+    return idbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function idbPut(storeName, value) {
+    return idbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function idbDelete(storeName, key) {
+    return idbRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+function idbClear(storeName) {
+    return idbRequest(storeName, 'readwrite', store => store.clear());
+}
+
 // ========================================
 // Text Processing Utilities (from Extension)
 // ========================================
 
 // Clamp text to max characters
-function clampToMaxChars(text, maxChars) {
+// minChars: never back up to a word boundary below this length
+function clampToMaxChars(text, maxChars, minChars = null) {
     if (!text || !maxChars || text.length <= maxChars) return text || "";
     let out = text.slice(0, maxChars);
     const lastSpace = out.lastIndexOf(" ");
-    if (lastSpace > maxChars * 0.6) out = out.slice(0, lastSpace);
+    if (lastSpace > (minChars || maxChars * 0.6)) out = out.slice(0, lastSpace);
     return out.replace(/[\s,.;:\-–—]+$/, "").trim();
 }
 
@@ -150,11 +278,11 @@ function forceWhiteBackground(line) {
 }
 
 // Add suffix safely (respecting maxChars)
-function addSuffixSafely(line, phrase, maxChars) {
+function addSuffixSafely(line, phrase, maxChars, minChars = null) {
     try {
-        if (!phrase) return clampToMaxChars(line, maxChars);
+        if (!phrase) return clampToMaxChars(line, maxChars, minChars);
         const re = new RegExp(phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-        if (re.test(line)) return clampToMaxChars(line, maxChars);
+        if (re.test(line)) return clampToMaxChars(line, maxChars, minChars);
         const t = (line || "").trim();
         const join = /[,.;:–—-]\s*$/.test(t) ? " " : ", ";
         const need = join + phrase;
@@ -163,7 +291,102 @@ function addSuffixSafely(line, phrase, maxChars) {
         core = core.trim().replace(/[\s,.;:–—-]+$/g, "").trim();
         return (core ? core + join : "") + phrase;
     } catch (_) {
-        return clampToMaxChars(line, maxChars);
+        return clampToMaxChars(line, maxChars, minChars);
+    }
+}
+
+// ========================================
+// Target Generator Formatting
+// ========================================
+const TARGET_GENERATORS = {
+    none: 'Plain prompt',
+    midjourney: 'Midjourney',
+    sd: 'Stable Diffusion',
+    dalle: 'DALL·E',
+    ideogram: 'Ideogram'
+};
+
+const SD_DEFAULT_NEGATIVE = ['blurry', 'low quality', 'jpeg artifacts', 'watermark', 'text', 'deformed', 'bad anatomy'];
+
+/**
+ * Split preset params into generator flags and prose terms.
+ * '--style raw --no human, isolated on white background'
+ *   -> {flags: {style: 'raw'}, no: ['human'], terms: ['isolated on white background']}
+ */
+function parseGeneratorParams(params) {
+    const flags = {};
+    const no = [];
+    const rest = String(params || '').replace(/--([a-z]+)(?:\s+([^,]*?))?\s*(?=--|,|$)/gi, (m, name, value = '') => {
+        const key = name.toLowerCase();
+        if (key === 'no') no.push(...value.split(/\s*,\s*/).filter(Boolean));
+        else flags[key] = value.trim();
+        return '';
+    });
+    const terms = rest.split(',').map(t => t.trim()).filter(Boolean);
+    return { flags, no, terms };
+}
+
+// Remove any flags or weight syntax the model added on its own
+function stripGeneratorSyntax(text) {
+    return String(text || '')
+        .replace(/\s--[a-z]+(?:\s+(?!--)\S+)*(?=\s--|\s*$)/gi, '')
+        .replace(/\(([^():]+):\d+(?:\.\d+)?\)/g, '$1')
+        .replace(/\s{2,}/g, ' ')
+        .replace(/[\s,]+$/, '')
+        .trim();
+}
+
+function includesTerm(text, term) {
+    return text.toLowerCase().includes(term.toLowerCase());
+}
+
+// Clamp prose so that `reserve` more characters still fit within maxChars
+function fitProse(prose, reserve, maxChars) {
+    return maxChars ? clampToMaxChars(prose, Math.max(1, maxChars - reserve)) : prose;
+}
+
+// Shape a finished TXT prompt for the chosen generator; appended flags/terms count toward maxChars
+function formatForGenerator(prompt, options) {
+    const prose = stripGeneratorSyntax(prompt);
+    const { flags, no, terms } = parseGeneratorParams(options.extraParams);
+
+    switch (options.target) {
+        case 'midjourney': {
+            const parts = [];
+            const ar = flags.ar || options.aspectRatio;
+            if (ar) parts.push(`--ar ${ar}`);
+            if (flags.style) parts.push(`--style ${flags.style}`);
+            if (no.length) parts.push(`--no ${no.join(', ')}`);
+            for (const [name, value] of Object.entries(flags)) {
+                if (name !== 'ar' && name !== 'style') parts.push(`--${name}${value ? ' ' + value : ''}`);
+            }
+            const suffix = parts.join(' ');
+            const body = fitProse(prose, suffix ? suffix.length + 1 : 0, options.maxChars).replace(/[.\s]+$/, '');
+            return suffix ? `${body} ${suffix}` : body;
+        }
+
+        case 'sd': {
+            const weigh = (term) => options.sdWeights ? `(${term}:1.2)` : term;
+            const extras = terms.filter(t => !includesTerm(prose, t)).map(weigh);
+            if (options.style && !includesTerm(prose, options.style)) extras.unshift(weigh(`${options.style} style`));
+            // Extras are dropped, not the description, when they would exceed maxChars
+            let positive = prose.replace(/[.\s]+$/, '');
+            for (const extra of extras) {
+                if (options.maxChars && positive.length + extra.length + 2 > options.maxChars) break;
+                positive += `, ${extra}`;
+            }
+            const negative = [...new Set([...no, ...SD_DEFAULT_NEGATIVE])].join(', ');
+            return `${positive}\nNegative prompt: ${negative}`;
+        }
+
+        case 'dalle':
+        case 'ideogram': {
+            const sentence = fitProse(prose, 1, options.maxChars).replace(/[,;:\s]+$/, '');
+            return /[.!?]$/.test(sentence) ? sentence : sentence + '.';
+        }
+
+        default:
+            return prose;
     }
 }
 
@@ -171,56 +394,467 @@ function addSuffixSafely(line, phrase, maxChars) {
 // API Key Rotation Utilities (from Extension)
 // ========================================
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+function abortError() { return new DOMException('Aborted', 'AbortError'); }
+
+function isAbortError(err) { return err?.name === 'AbortError'; }
+
+// Sleep that rejects with AbortError as soon as the signal fires
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortError());
+        const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
-async function waitMinDelay() {
+async function waitMinDelay(signal, minDelayMs = CONFIG.MIN_DELAY_MS) {
     const elapsed = Date.now() - lastApiCallAt;
-    const wait = Math.max(0, CONFIG.MIN_DELAY_MS - elapsed);
-    if (wait > 0) await sleep(wait);
+    const wait = Math.max(0, minDelayMs - elapsed);
+    if (wait > 0) await sleep(wait, signal);
+}
+
+// Short non-reversible fingerprint so stats never store the key itself
+function keyId(key) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        h ^= key.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36) + key.length.toString(36);
+}
+
+function loadKeyStats() {
+    if (!__keyStats) {
+        try {
+            __keyStats = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.KEY_STATS) || '{}');
+        } catch {
+            __keyStats = {};
+        }
+    }
+    return __keyStats;
+}
+
+function saveKeyStats() {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.KEY_STATS, JSON.stringify(loadKeyStats()));
+}
+
+// Keyless providers get a throwaway record
+function getKeyStats(key) {
+    const blank = {
+        requests: 0, successes: 0, rateLimits: 0, errors: 0,
+        fails: 0, nextAt: 0, lastUsedAt: 0, disabled: false, lastTest: null
+    };
+    if (!key) return blank;
+    const all = loadKeyStats();
+    const id = keyId(key);
+    all[id] = { ...blank, ...all[id] };
+    return all[id];
+}
+
+function forgetKeyStats(key) {
+    delete loadKeyStats()[keyId(key)];
+    saveKeyStats();
+}
+
+function updateKeyStats(key, fn) {
+    if (!key) return;
+    fn(getKeyStats(key));
+    saveKeyStats();
+    renderApiKeysList();
+}
+
+function markKeyRequest(key) {
+    updateKeyStats(key, s => {
+        s.requests++;
+        s.lastUsedAt = Date.now();
+    });
 }
 
 function markKeyOK(key) {
-    const s = keyState.get(key) || { nextAt: 0, fails: 0 };
-    s.fails = 0;
-    s.nextAt = 0;
-    keyState.set(key, s);
+    updateKeyStats(key, s => {
+        s.successes++;
+        s.fails = 0;
+        s.nextAt = 0;
+    });
+    if (key) usedKeys.add(key);
     lastApiCallAt = Date.now();
 }
 
-function markKey429(key) {
-    const s = keyState.get(key) || { nextAt: 0, fails: 0 };
+// Fingerprint + list position of each key used since the last call (for history metadata).
+// Never stores key characters: history ends up in exports and backups.
+function takeUsedKeys() {
+    const provider = getActiveProvider();
+    const list = getApiKeys(provider.id);
+    const keys = [...usedKeys].map(k => {
+        const id = keyId(k);
+        const idx = list.indexOf(k);
+        return { id, label: idx >= 0 ? `${provider.label} #${idx + 1}` : `key ${id}` };
+    });
+    usedKeys.clear();
+    return keys;
+}
+
+// Entries saved before labels stopped carrying the key's last characters
+function scrubKeyLabels(meta) {
+    if (!Array.isArray(meta?.keysUsed) || !meta.keysUsed.some(k => String(k.label).startsWith('…'))) return false;
+    meta.keysUsed = meta.keysUsed.map(k => (String(k.label).startsWith('…') ? { id: k.id, label: `key ${k.id}` } : k));
+    return true;
+}
+
+function applyKeyCooldown(s) {
     s.fails++;
     const cooldown = Math.min(CONFIG.COOLDOWN_MAX_MS, 30000 * s.fails);
     s.nextAt = Date.now() + cooldown;
-    keyState.set(key, s);
 }
 
-async function pickBestKey(keys) {
+function markKey429(key) {
+    updateKeyStats(key, s => {
+        s.rateLimits++;
+        applyKeyCooldown(s);
+    });
+}
+
+// Non-429 failures (bad key, network) cool the key down the same way
+function markKeyError(key) {
+    updateKeyStats(key, s => {
+        s.errors++;
+        applyKeyCooldown(s);
+    });
+}
+
+async function pickBestKey(keys, signal) {
     const now = Date.now();
     let best = null;
 
-    for (const k of keys) {
-        const st = keyState.get(k) || { nextAt: 0, fails: 0 };
+    const enabled = keys.filter(k => !getKeyStats(k).disabled);
+    if (enabled.length === 0) throw new Error('All API keys are disabled in Settings');
+
+    for (const k of enabled) {
+        const st = getKeyStats(k);
         if (st.nextAt <= now) return k;  // Available key found
         if (!best || st.nextAt < best.nextAt) best = { ...st, key: k };
     }
 
     if (best) {
         const wait = Math.max(0, best.nextAt - now);
-        if (wait > 0) await sleep(wait);
+        if (wait > 0) await sleep(wait, signal);
         return best.key;
     }
 
-    return keys[0];
+    return enabled[0];
 }
 
-// Get API keys (supports both single key and comma-separated multiple keys)
-function getApiKeys() {
-    const singleKey = localStorage.getItem(CONFIG.STORAGE_KEYS.API_KEY) || '';
+// Get API keys of a provider (supports both single key and comma-separated multiple keys)
+function getApiKeys(providerId = getActiveProviderId()) {
+    const provider = AI_PROVIDERS[providerId] || AI_PROVIDERS.gemini;
+    const singleKey = readKeyStore(provider.storage.keys);
     // Split by comma, newline, or space, filter empty
     return singleKey.split(/[,\n\s]+/).map(k => k.trim()).filter(k => k.length > 10);
 }
 
+// ========================================
+// AI Providers
+// ========================================
+
+// "1m30s" / "20ms" / "6" (seconds) -> milliseconds
+function parseDurationMs(value) {
+    if (!value) return 0;
+    const str = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(str)) return Number(str) * 1000;
+    let ms = 0;
+    for (const [, n, unit] of str.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+        ms += Number(n) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+    }
+    return ms;
+}
+
+function apiErrorMessage(body, status) {
+    return body?.error?.message || (typeof body?.error === 'string' ? body.error : '') || `API error: ${status}`;
+}
+
+/**
+ * Each provider turns one vision request into a fetch call and reads the text back.
+ * request: {model, systemPrompt, mimeType, base64Data, imageDataUrl, generation: {temperature, topP, topK, maxOutputTokens},
+ *           responseSchema (optional JSON schema for structured output), stream}
+ * Streaming responses are 'sse' (data: lines) or 'ndjson'; extractStreamText reads one chunk's delta.
+ */
+const AI_PROVIDERS = {
+    gemini: {
+        id: 'gemini',
+        label: 'Gemini',
+        models: [
+            { value: 'gemini-2.5-flash-lite', label: '2.5 Flash Lite' },
+            { value: 'gemini-2.5-flash', label: '2.5 Flash' },
+            { value: 'gemini-2.0-flash', label: '2.0 Flash' }
+        ],
+        defaultModel: 'gemini-2.5-flash-lite',
+        keyRequired: true,
+        keyHelpUrl: 'https://aistudio.google.com/apikey',
+        minDelayMs: CONFIG.MIN_DELAY_MS,
+        storage: { keys: CONFIG.STORAGE_KEYS.API_KEY, model: CONFIG.STORAGE_KEYS.MODEL },
+        buildRequest(req, apiKey) {
+            return {
+                url: `https://generativelanguage.googleapis.com/v1beta/models/${req.model}:` +
+                    `${req.stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?'}key=${encodeURIComponent(apiKey)}`,
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        contents: [{
+                            parts: [
+                                { text: req.systemPrompt },
+                                { inline_data: { mime_type: req.mimeType, data: req.base64Data } }
+                            ]
+                        }],
+                        generationConfig: {
+                            temperature: req.generation.temperature,
+                            maxOutputTokens: req.generation.maxOutputTokens,
+                            ...(req.generation.topP != null && { topP: req.generation.topP }),
+                            ...(req.generation.topK != null && { topK: req.generation.topK }),
+                            ...(req.responseSchema && {
+                                responseMimeType: 'application/json',
+                                responseSchema: toGeminiSchema(req.responseSchema)
+                            })
+                        }
+                    })
+                }
+            };
+        },
+        // Join ALL parts like Extension does (fixes truncation)
+        extractText: (data) => data.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '',
+        buildTestRequest(apiKey, settings) {
+            return {
+                url: `https://generativelanguage.googleapis.com/v1beta/models/${settings.model}:generateContent?key=${encodeURIComponent(apiKey)}`,
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        contents: [{ parts: [{ text: 'Reply with OK' }] }],
+                        generationConfig: { maxOutputTokens: 1 }
+                    })
+                }
+            };
+        },
+        // Each SSE event is a full GenerateContentResponse holding only the new text
+        streamFormat: 'sse',
+        extractStreamText: (data) => data.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '',
+        isRateLimited: (response) => response.status === 429,
+        retryAfterMs: (response) => parseDurationMs(response.headers.get('Retry-After'))
+    },
+
+    openai: {
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        models: [
+            { value: 'gpt-4o-mini', label: 'GPT-4o mini' },
+            { value: 'gpt-4o', label: 'GPT-4o' },
+            { value: 'gpt-4.1-mini', label: 'GPT-4.1 mini' }
+        ],
+        defaultModel: 'gpt-4o-mini',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        keyRequired: true,
+        keyHelpUrl: 'https://platform.openai.com/api-keys',
+        minDelayMs: 1000,
+        storage: {
+            keys: CONFIG.STORAGE_KEYS.OPENAI_KEY,
+            model: CONFIG.STORAGE_KEYS.OPENAI_MODEL,
+            baseUrl: CONFIG.STORAGE_KEYS.OPENAI_BASE_URL
+        },
+        buildRequest(req, apiKey, settings) {
+            return {
+                url: `${settings.baseUrl}/chat/completions`,
+                init: {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${apiKey}`
+                    },
+                    body: JSON.stringify({
+                        model: req.model,
+                        stream: !!req.stream,
+                        messages: [{
+                            role: 'user',
+                            content: [
+                                { type: 'text', text: req.systemPrompt },
+                                { type: 'image_url', image_url: { url: req.imageDataUrl } }
+                            ]
+                        }],
+                        temperature: req.generation.temperature,
+                        max_tokens: req.generation.maxOutputTokens,
+                        // top_k is not part of the OpenAI API, so it is not sent
+                        ...(req.generation.topP != null && { top_p: req.generation.topP }),
+                        ...(req.responseSchema && {
+                            response_format: {
+                                type: 'json_schema',
+                                json_schema: { name: 'promptforge_output', strict: true, schema: req.responseSchema }
+                            }
+                        })
+                    })
+                }
+            };
+        },
+        extractText(data) {
+            const content = data.choices?.[0]?.message?.content;
+            return Array.isArray(content) ? content.map(p => p.text || '').join('') : content || '';
+        },
+        streamFormat: 'sse',
+        extractStreamText: (data) => data.choices?.[0]?.delta?.content || '',
+        buildTestRequest(apiKey, settings) {
+            return {
+                url: `${settings.baseUrl}/chat/completions`,
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+                    body: JSON.stringify({
+                        model: settings.model,
+                        messages: [{ role: 'user', content: 'Reply with OK' }],
+                        max_tokens: 1
+                    })
+                }
+            };
+        },
+        isRateLimited: (response) => response.status === 429,
+        retryAfterMs: (response) => parseDurationMs(response.headers.get('Retry-After')) ||
+            parseDurationMs(response.headers.get('x-ratelimit-reset-requests'))
+    },
+
+    ollama: {
+        id: 'ollama',
+        label: 'Ollama (local)',
+        models: [
+            { value: 'llava', label: 'LLaVA' },
+            { value: 'llava:13b', label: 'LLaVA 13B' },
+            { value: 'llama3.2-vision', label: 'Llama 3.2 Vision' },
+            { value: 'moondream', label: 'Moondream' }
+        ],
+        defaultModel: 'llava',
+        defaultBaseUrl: 'http://localhost:11434',
+        keyRequired: false,  // Keys only needed behind an authenticating proxy
+        keyHelpUrl: 'https://ollama.com/library/llava',
+        minDelayMs: 0,
+        storage: {
+            keys: CONFIG.STORAGE_KEYS.OLLAMA_KEY,
+            model: CONFIG.STORAGE_KEYS.OLLAMA_MODEL,
+            baseUrl: CONFIG.STORAGE_KEYS.OLLAMA_BASE_URL
+        },
+        buildRequest(req, apiKey, settings) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+            return {
+                url: `${settings.baseUrl}/api/chat`,
+                init: {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({
+                        model: req.model,
+                        stream: !!req.stream,
+                        messages: [{ role: 'user', content: req.systemPrompt, images: [req.base64Data] }],
+                        ...(req.responseSchema && { format: req.responseSchema }),
+                        options: {
+                            temperature: req.generation.temperature,
+                            num_predict: req.generation.maxOutputTokens,
+                            ...(req.generation.topP != null && { top_p: req.generation.topP }),
+                            ...(req.generation.topK != null && { top_k: req.generation.topK })
+                        }
+                    })
+                }
+            };
+        },
+        extractText: (data) => data.message?.content || '',
+        streamFormat: 'ndjson',
+        extractStreamText: (data) => data.message?.content || '',
+        // Listing local models is enough to prove the server and token work
+        buildTestRequest(apiKey, settings) {
+            return {
+                url: `${settings.baseUrl}/api/tags`,
+                init: { method: 'GET', headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {} }
+            };
+        },
+        // Ollama has no quota; a busy proxy in front of it may still send 429
+        isRateLimited: (response) => response.status === 429,
+        retryAfterMs: (response) => parseDurationMs(response.headers.get('Retry-After'))
+    }
+};
+
+function getActiveProviderId() {
+    const id = localStorage.getItem(CONFIG.STORAGE_KEYS.PROVIDER);
+    return AI_PROVIDERS[id] ? id : 'gemini';
+}
+
+function getActiveProvider() {
+    return AI_PROVIDERS[getActiveProviderId()];
+}
+
+// Stored model/base URL/keys of a provider, with defaults filled in
+function getProviderSettings(providerId = getActiveProviderId()) {
+    const provider = AI_PROVIDERS[providerId];
+    const baseUrl = provider.storage.baseUrl
+        ? (localStorage.getItem(provider.storage.baseUrl) || provider.defaultBaseUrl).replace(/\/+$/, '')
+        : null;
+    return {
+        model: localStorage.getItem(provider.storage.model) || provider.defaultModel,
+        baseUrl,
+        keys: getApiKeys(providerId)
+    };
+}
+
+function isStreamingEnabled() {
+    return localStorage.getItem(CONFIG.STORAGE_KEYS.STREAMING) !== '0' && typeof ReadableStream !== 'undefined';
+}
+
+// Read a streamed response body, calling onText with the text accumulated so far
+async function readStreamText(response, provider, onText) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+        line = line.trim();
+        if (provider.streamFormat === 'sse') {
+            if (!line.startsWith('data:')) return;
+            line = line.slice(5).trim();
+            if (line === '[DONE]') return;
+        }
+        if (!line) return;
+
+        let data;
+        try {
+            data = JSON.parse(line);
+        } catch {
+            return; // Keep-alive or partial noise
+        }
+        if (data.error) throw new Error(apiErrorMessage(data, 'stream'));
+
+        const delta = provider.extractStreamText(data);
+        if (delta) {
+            text += delta;
+            onText(text);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    return text;
+}
+
+function hasProviderAccess(providerId = getActiveProviderId()) {
+    return !AI_PROVIDERS[providerId].keyRequired ||
+        getApiKeys(providerId).some(k => !getKeyStats(k).disabled);
+}
+
 // ========================================
 // Image Analysis Utilities (from Extension)
 // ========================================
@@ -237,114 +871,138 @@ async function dataUrlToBlob(dataUrl) {
     return new Blob([out], { type: mime || "application/octet-stream" });
 }
 
-// Detect copy space in image (simplified version)
-async function detectCopySpace(dataUrl) {
-    try {
-        if (!dataUrl) return { isCopySpace: false, side: null, score: 0 };
-        const blob = await dataUrlToBlob(dataUrl);
-        const bmp = await createImageBitmap(blob);
-        const W0 = bmp.width, H0 = bmp.height;
-        if (!W0 || !H0) return { isCopySpace: false, side: null, score: 0 };
-
-        const max = 256, s = Math.min(1, max / Math.max(W0, H0));
-        const W = Math.max(48, Math.round(W0 * s)), H = Math.max(48, Math.round(H0 * s));
-        const cvs = new OffscreenCanvas(W, H), ctx = cvs.getContext("2d", { alpha: false });
-        ctx.imageSmoothingEnabled = true;
-        ctx.drawImage(bmp, 0, 0, W, H);
-        const { data } = ctx.getImageData(0, 0, W, H);
-
-        // Convert to grayscale and compute gradient
-        const gray = new Float32Array(W * H);
-        for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
-            gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
-        }
+// Result used when the detector worker is unavailable, crashed or failed on an image (never persisted)
+const NO_DETECTION = {
+    copySpace: { isCopySpace: false, side: null, score: 0 },
+    cutout: { cutout: false, checker: false },
+    palette: []
+};
 
-        // Simple edge detection
-        const grad = new Float32Array(W * H);
-        for (let y = 1; y < H - 1; y++) {
-            for (let x = 1; x < W - 1; x++) {
-                const i = y * W + x;
-                const gx = gray[i + 1] - gray[i - 1];
-                const gy = gray[i + W] - gray[i - W];
-                grad[i] = Math.sqrt(gx * gx + gy * gy);
-            }
-        }
+// Bump when detector-worker.js output changes so stored results are recomputed
+// (3: failures are no longer stored as "nothing detected")
+const DETECTOR_VERSION = 3;
+
+let __detectorWorker = null;
+let __detectorSeq = 0;
+const __detectorPending = new Map(); // message id -> resolve
+const __analysisCache = new Map();   // content hash -> Promise<{copySpace, cutout}>
+
+function getDetectorWorker() {
+    if (!__detectorWorker && typeof Worker !== 'undefined') {
+        __detectorWorker = new Worker('detector-worker.js');
+        __detectorWorker.onmessage = (e) => {
+            // A detector failure comes back as {id, error}; treat it like a crash so it is not cached
+            if (e.data.error) console.warn('[PWA DEBUG] Image detectors failed:', e.data.error);
+            __detectorPending.get(e.data.id)?.(e.data.error ? NO_DETECTION : e.data.result);
+            __detectorPending.delete(e.data.id);
+        };
+        __detectorWorker.onerror = (e) => {
+            console.warn('[PWA DEBUG] Detector worker failed:', e.message);
+            for (const resolve of __detectorPending.values()) resolve(NO_DETECTION);
+            __detectorPending.clear();
+            // Start a fresh worker on the next request
+            __detectorWorker.terminate();
+            __detectorWorker = null;
+        };
+    }
+    return __detectorWorker;
+}
 
-        // Analyze sides for low activity
-        const band = 0.35;
-        function analyzeRegion(x0, y0, x1, y1) {
-            let sum = 0, cnt = 0;
-            for (let y = y0; y < y1; y++) {
-                for (let x = x0; x < x1; x++) {
-                    sum += grad[y * W + x];
-                    cnt++;
-                }
-            }
-            return sum / (cnt || 1);
-        }
+async function hashBlob(blob) {
+    if (crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return keyId(await blob.text());
+}
 
-        const left = analyzeRegion(0, 0, Math.round(W * band), H);
-        const right = analyzeRegion(Math.round(W * (1 - band)), 0, W, H);
-        const top = analyzeRegion(0, 0, W, Math.round(H * band));
-        const bottom = analyzeRegion(0, Math.round(H * (1 - band)), W, H);
-        const center = analyzeRegion(Math.round(W * 0.3), Math.round(H * 0.3), Math.round(W * 0.7), Math.round(H * 0.7));
+function runDetectors(blob) {
+    const worker = getDetectorWorker();
+    if (!worker) return Promise.resolve(NO_DETECTION);
+    return new Promise((resolve) => {
+        const id = ++__detectorSeq;
+        __detectorPending.set(id, resolve);
+        worker.postMessage({ id, blob });
+    });
+}
 
-        const threshold = center * 0.4;
-        let side = null, minActivity = Infinity;
-        if (left < threshold && left < minActivity) { side = "left"; minActivity = left; }
-        if (right < threshold && right < minActivity) { side = "right"; minActivity = right; }
-        if (top < threshold && top < minActivity) { side = "top"; minActivity = top; }
-        if (bottom < threshold && bottom < minActivity) { side = "bottom"; minActivity = bottom; }
+/**
+ * Copy-space and cutout detection for an image, run once per image content.
+ * Results are cached by SHA-256 in memory and in IndexedDB, so every prompt,
+ * queue item and history re-run of the same image reuses them.
+ * Resolves to {hash, copySpace: {isCopySpace, side, score}, cutout: {cutout, checker},
+ * palette: [{hex, name, share}]}.
+ */
+async function analyzeImage(dataUrl) {
+    if (!dataUrl) return { hash: null, ...NO_DETECTION };
+    const blob = await dataUrlToBlob(dataUrl);
+    const hash = await hashBlob(blob);
+
+    if (!__analysisCache.has(hash)) {
+        __analysisCache.set(hash, (async () => {
+            const stored = await idbGet('analysis', hash).catch(() => null);
+            if (stored?.version === DETECTOR_VERSION) return stored.result;
+            const result = await runDetectors(blob);
+            if (result === NO_DETECTION) {
+                // Worker failure: let the next call for this image try again
+                __analysisCache.delete(hash);
+            } else {
+                idbPut('analysis', { hash, version: DETECTOR_VERSION, result, analyzedAt: Date.now() }).catch(() => {});
+            }
+            return result;
+        })());
+    }
+    return { hash, ...await __analysisCache.get(hash) };
+}
 
-        return { isCopySpace: !!side, side, score: side ? (center - minActivity) / center : 0 };
-    } catch (e) {
-        return { isCopySpace: false, side: null, score: 0 };
+// Keep the analysis store about as large as history (oldest results go first)
+async function pruneAnalysisStore() {
+    const records = await idbGetAll('analysis');
+    if (records.length <= CONFIG.HISTORY_LIMIT) return;
+    records.sort((a, b) => (a.analyzedAt || 0) - (b.analyzedAt || 0));
+    for (const record of records.slice(0, records.length - CONFIG.HISTORY_LIMIT)) {
+        await idbDelete('analysis', record.hash);
+        __analysisCache.delete(record.hash);
     }
 }
 
-// Detect cutout (transparency) or checkerboard pattern
-async function detectCutoutOrCheckerboard(dataUrl) {
-    try {
-        if (!dataUrl) return { cutout: false, checker: false };
-        const blob = await dataUrlToBlob(dataUrl);
-        const bmp = await createImageBitmap(blob);
-        const W0 = bmp.width, H0 = bmp.height;
-        if (!W0 || !H0) return { cutout: false, checker: false };
-
-        const W = 192, H = Math.max(96, Math.round(H0 * (W / W0)));
-        const cvs = new OffscreenCanvas(W, H);
-        const ctx = cvs.getContext("2d", { alpha: true });
-        ctx.drawImage(bmp, 0, 0, W, H);
-        const { data } = ctx.getImageData(0, 0, W, H);
-
-        // Check for transparency
-        let alphaZero = 0, sample = 0;
-        for (let y = 0; y < H; y += 2) {
-            for (let x = 0; x < W; x += 2) {
-                const i = (y * W + x) * 4;
-                if (data[i + 3] < 10) alphaZero++;
-                sample++;
-            }
-        }
-        const cutout = alphaZero / Math.max(1, sample) > 0.25;
-
-        // Simple checkerboard detection
-        let whiteCount = 0, grayCount = 0;
-        for (let i = 0; i < data.length; i += 4) {
-            const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
-            if (a > 240) {
-                const v = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-                if (v > 245) whiteCount++;
-                else if (v > 200 && v < 220) grayCount++;
-            }
-        }
-        const total = data.length / 4;
-        const checker = (whiteCount > total * 0.1) && (grayCount > total * 0.1);
+function describeAnalysis(analysis) {
+    const parts = [];
+    const cs = analysis.copySpace;
+    parts.push(cs.isCopySpace ? `Copy space: ${cs.side} (${Math.round(cs.score * 100)}%)` : 'No copy space');
+    if (analysis.cutout.cutout) parts.push('Transparent cutout');
+    else if (analysis.cutout.checker) parts.push('Checkerboard background');
+    return parts.join(' · ');
+}
 
-        return { cutout, checker };
-    } catch (e) {
-        return { cutout: false, checker: false };
+function renderPaletteSwatches(palette, small = false) {
+    return (palette || []).map(c =>
+        `<span class="palette-swatch ${small ? 'is-small' : ''}" style="background:${escapeHtml(c.hex)}" title="${escapeHtml(`${c.name} ${c.hex}`)}">` +
+        (small ? '' : `<span class="palette-label">${escapeHtml(c.name)}<br>${escapeHtml(c.hex)}</span>`) +
+        '</span>'
+    ).join('');
+}
+
+function isPaletteHintEnabled() {
+    return localStorage.getItem(CONFIG.STORAGE_KEYS.PALETTE_HINT) === '1';
+}
+
+// Show what the detectors found for the current preview image
+async function renderImageAnalysis() {
+    const info = el('imageAnalysisInfo');
+    const swatches = el('paletteSwatches');
+    if (!info) return;
+    const dataUrl = state.imageDataUrl;
+    if (!dataUrl) {
+        info.textContent = '';
+        if (swatches) swatches.innerHTML = '';
+        return;
     }
+    info.textContent = '🔍 Analyzing image...';
+    const analysis = await analyzeImage(dataUrl);
+    if (state.imageDataUrl !== dataUrl) return;
+    info.textContent = `🔍 ${describeAnalysis(analysis)}`;
+    if (swatches) swatches.innerHTML = renderPaletteSwatches(analysis.palette);
 }
 
 // ========================================
@@ -522,31 +1180,134 @@ async function copyMachineId() {
 // ========================================
 // API Keys List Management
 // ========================================
-let __geminiKeys = [];
+let __apiKeys = []; // Keys of the active provider
+let __keyHealthTimer = null;
+
+function formatTimeAgo(ts) {
+    if (!ts) return 'never';
+    const sec = Math.round((Date.now() - ts) / 1000);
+    if (sec < 60) return 'just now';
+    if (sec < 3600) return `${Math.floor(sec / 60)}m ago`;
+    if (sec < 86400) return `${Math.floor(sec / 3600)}h ago`;
+    return `${Math.floor(sec / 86400)}d ago`;
+}
 
-function renderGeminiKeysList() {
-    const container = el('geminiKeysList');
+function formatCountdown(ms) {
+    const sec = Math.ceil(ms / 1000);
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+function renderApiKeysList() {
+    const container = el('apiKeysList');
     if (!container) return;
 
-    if (__geminiKeys.length === 0) {
-        container.innerHTML = '<div class="api-keys-empty" style="color: var(--text-muted); font-size: 12px; padding: 12px; text-align: center;">No API keys yet. Add one below.</div>';
+    if (__apiKeys.length === 0) {
+        const hint = getActiveProvider().keyRequired ? 'No API keys yet. Add one below.' : 'No key needed for a local server.';
+        container.innerHTML = `<div class="api-keys-empty" style="color: var(--text-muted); font-size: 12px; padding: 12px; text-align: center;">${hint}</div>`;
         return;
     }
 
-    container.innerHTML = __geminiKeys.map((key, idx) => {
+    const now = Date.now();
+    let coolingDown = false;
+
+    container.innerHTML = __apiKeys.map((key, idx) => {
         const masked = key.slice(0, 10) + '...' + key.slice(-6);
+        const s = getKeyStats(key);
+        const cooldown = s.nextAt - now;
+
+        let badge;
+        if (s.disabled) {
+            badge = '<span class="key-badge is-disabled">Disabled</span>';
+        } else if (cooldown > 0) {
+            coolingDown = true;
+            badge = `<span class="key-badge is-cooldown">⏳ ${formatCountdown(cooldown)}</span>`;
+        } else if (s.lastTest && !s.lastTest.ok) {
+            badge = '<span class="key-badge is-dead">Failing</span>';
+        } else {
+            badge = '<span class="key-badge is-ok">Ready</span>';
+        }
+
+        const testInfo = s.lastTest
+            ? ` · test ${s.lastTest.ok ? '✅' : '❌'} ${escapeHtml(s.lastTest.message)}`
+            : '';
+
         return `
-            <div class="api-key-item">
+            <div class="api-key-item ${s.disabled ? 'is-disabled' : ''}">
                 <span class="key-number">#${idx + 1}</span>
-                <code class="key-value">${masked}</code>
-                <button class="btn-remove" onclick="removeGeminiKey(${idx})" title="Remove key">🗑️</button>
+                <div class="key-info">
+                    <div class="key-main">
+                        <code class="key-value">${masked}</code>
+                        ${badge}
+                    </div>
+                    <div class="key-stats">
+                        ${s.requests} req · ${s.successes} ok · ${s.rateLimits}×429 · ${s.errors} err · used ${formatTimeAgo(s.lastUsedAt)}${testInfo}
+                    </div>
+                </div>
+                <button class="btn-remove" onclick="testApiKey(${idx})" title="Test key">🧪</button>
+                <button class="btn-remove" onclick="toggleApiKeyDisabled(${idx})" title="${s.disabled ? 'Enable key' : 'Disable key'}">${s.disabled ? '▶️' : '⏸️'}</button>
+                <button class="btn-remove" onclick="removeApiKey(${idx})" title="Remove key">🗑️</button>
             </div>
         `;
     }).join('');
+
+    // Tick the cooldown countdown only while one is running
+    if (coolingDown && !__keyHealthTimer) {
+        __keyHealthTimer = setInterval(renderApiKeysList, 1000);
+    } else if (!coolingDown && __keyHealthTimer) {
+        clearInterval(__keyHealthTimer);
+        __keyHealthTimer = null;
+    }
+}
+
+function toggleApiKeyDisabled(index) {
+    const key = __apiKeys[index];
+    if (!key) return;
+    const disabled = !getKeyStats(key).disabled;
+    updateKeyStats(key, s => { s.disabled = disabled; });
+    updateGenerateButton();
+    showToast(disabled ? `Key #${index + 1} disabled` : `Key #${index + 1} enabled`, 'success');
+}
+
+// Minimal validation call: tells dead keys from exhausted ones
+async function testApiKey(index) {
+    const key = __apiKeys[index];
+    if (!key) return;
+
+    const provider = getActiveProvider();
+    const settings = getProviderSettings(provider.id);
+    const { url, init } = provider.buildTestRequest(key, settings);
+    const started = Date.now();
+    markKeyRequest(key);
+
+    let result;
+    try {
+        const response = await fetch(url, init);
+        if (response.ok) {
+            markKeyOK(key);
+            result = { ok: true, message: `OK in ${Date.now() - started} ms` };
+        } else if (provider.isRateLimited(response)) {
+            markKey429(key);
+            result = { ok: false, message: 'Rate limited / quota exhausted' };
+        } else {
+            const body = await response.json().catch(() => ({}));
+            markKeyError(key);
+            result = { ok: false, message: apiErrorMessage(body, response.status) };
+        }
+    } catch (err) {
+        markKeyError(key);
+        result = { ok: false, message: err.message };
+    }
+
+    updateKeyStats(key, s => { s.lastTest = { ...result, at: Date.now() }; });
+    showToast(`Key #${index + 1}: ${result.message}`, result.ok ? 'success' : 'error');
 }
 
-function addGeminiKey() {
-    const input = el('newGeminiKeyInput');
+function saveApiKeys() {
+    writeKeyStore(getActiveProvider().storage.keys, __apiKeys.join(','));
+}
+
+function addApiKey() {
+    const input = el('newApiKeyInput');
     const key = input.value.trim();
 
     if (!key) {
@@ -559,89 +1320,445 @@ function addGeminiKey() {
         return;
     }
 
-    if (__geminiKeys.includes(key)) {
+    if (isKeyVaultLocked()) {
+        showToast('Unlock your API keys first', 'error');
+        return;
+    }
+
+    if (__apiKeys.includes(key)) {
         showToast('This key is already added', 'error');
         return;
     }
 
-    __geminiKeys.push(key);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.API_KEY, __geminiKeys.join(','));
+    __apiKeys.push(key);
+    saveApiKeys();
 
     input.value = '';
-    renderGeminiKeysList();
+    renderApiKeysList();
     updateGenerateButton();
     showToast('API key added! ✅', 'success');
 }
 
-function removeGeminiKey(index) {
-    __geminiKeys.splice(index, 1);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.API_KEY, __geminiKeys.join(','));
-    renderGeminiKeysList();
+function removeApiKey(index) {
+    if (isKeyVaultLocked()) return;
+    const [removed] = __apiKeys.splice(index, 1);
+    if (removed) forgetKeyStats(removed);
+    saveApiKeys();
+    renderApiKeysList();
     updateGenerateButton();
     showToast('API key removed', 'success');
 }
 
 function loadKeysFromStorage() {
-    const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.API_KEY) || '';
-    __geminiKeys = stored.split(/[,\n]+/).map(k => k.trim()).filter(k => k.length > 10);
-    renderGeminiKeysList();
+    const stored = readKeyStore(getActiveProvider().storage.keys);
+    __apiKeys = stored.split(/[,\n]+/).map(k => k.trim()).filter(k => k.length > 10);
+    renderApiKeysList();
 }
 
 // ========================================
-// Settings Management
+// API Key Encryption (optional passphrase)
 // ========================================
-function loadSettings() {
-    loadKeysFromStorage();
-    const model = localStorage.getItem(CONFIG.STORAGE_KEYS.MODEL) || 'gemini-2.5-flash-lite';
-    el('geminiModel').value = model;
-    updateGenerateButton();
+// When enabled, each provider's key string is stored as "pfenc:<iv>:<ciphertext>" (AES-GCM,
+// key derived with PBKDF2 from the passphrase). Decrypted keys only live in memory.
+const VAULT_PREFIX = 'pfenc:';
+const VAULT_ITERATIONS = 310000;
+const VAULT_CHECK_TEXT = 'promptforge-key-vault';
+const VAULT_AUTOLOCK_DEFAULT_MIN = 15;
+
+let keyVault = null;          // {cryptoKey, plain: {storageKey: keys}} while unlocked
+let vaultWrites = Promise.resolve();
+let vaultLastActivity = Date.now();
+
+function bytesToBase64(bytes) {
+    let bin = '';
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin);
 }
 
-function saveSettings() {
-    const model = el('geminiModel').value;
-    localStorage.setItem(CONFIG.STORAGE_KEYS.MODEL, model);
-    showToast('Settings saved! ✅', 'success');
-    updateGenerateButton();
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
 
-    // Collapse settings
-    el('settingsCard').classList.add('collapsed');
+function getVaultMeta() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.KEY_VAULT) || 'null');
+    } catch {
+        return null;
+    }
 }
 
-// ========================================
-// Image Handling
-// ========================================
-function fileToDataUrl(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-    });
+function isKeyVaultEnabled() {
+    return !!getVaultMeta();
 }
 
-async function handleImageFile(file) {
-    if (!file || !file.type.startsWith('image/')) {
-        showToast('Please select an image file', 'error');
+function isKeyVaultLocked() {
+    return isKeyVaultEnabled() && !keyVault;
+}
+
+async function deriveVaultKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encryptString(cryptoKey, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(text));
+    return `${VAULT_PREFIX}${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(data))}`;
+}
+
+// Throws (OperationError) when the key is wrong or the data was tampered with
+async function decryptString(cryptoKey, stored) {
+    const [iv, data] = stored.slice(VAULT_PREFIX.length).split(':');
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, cryptoKey, base64ToBytes(data));
+    return new TextDecoder().decode(plain);
+}
+
+// Key strings of a provider: plain localStorage, or the unlocked vault ('' while locked)
+function readKeyStore(storageKey) {
+    if (!isKeyVaultEnabled()) return localStorage.getItem(storageKey) || '';
+    if (!keyVault) return '';
+    return keyVault.plain[storageKey] || '';
+}
+
+function writeKeyStore(storageKey, value) {
+    if (!isKeyVaultEnabled()) {
+        localStorage.setItem(storageKey, value);
         return;
     }
+    if (!keyVault) throw new Error('API keys are locked');
+    keyVault.plain[storageKey] = value;
+    const { cryptoKey } = keyVault;
+    // Chained so a slow encryption never overwrites a newer value
+    vaultWrites = vaultWrites
+        .then(async () => localStorage.setItem(storageKey, await encryptString(cryptoKey, value)))
+        .catch(err => {
+            console.error('Key encryption failed:', err);
+            showToast('Could not encrypt API keys', 'error');
+        });
+}
 
-    try {
-        const dataUrl = await compressImage(file, 1024, 0.85);
-        setPreviewImage(dataUrl);
-    } catch (err) {
-        showToast('Failed to load image: ' + err.message, 'error');
+async function readVaultPlain(cryptoKey) {
+    const plain = {};
+    for (const storageKey of apiKeyStorageKeys()) {
+        const stored = localStorage.getItem(storageKey);
+        if (!stored) continue;
+        // Values written before encryption was turned on (e.g. by a restore) are still plain
+        plain[storageKey] = stored.startsWith(VAULT_PREFIX) ? await decryptString(cryptoKey, stored) : stored;
     }
+    return plain;
 }
 
-async function compressImage(file, maxSize, quality) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            let width = img.width;
-            let height = img.height;
+// Encrypt every provider's keys under a new passphrase (enable or change)
+async function sealKeyVault(passphrase, plain) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cryptoKey = await deriveVaultKey(passphrase, salt, VAULT_ITERATIONS);
+    const encrypted = {};
+    for (const [storageKey, value] of Object.entries(plain)) {
+        if (value) encrypted[storageKey] = await encryptString(cryptoKey, value);
+    }
+    const check = await encryptString(cryptoKey, VAULT_CHECK_TEXT);
 
-            if (width > maxSize || height > maxSize) {
-                if (width > height) {
+    await vaultWrites;
+    for (const storageKey of apiKeyStorageKeys()) {
+        if (encrypted[storageKey]) localStorage.setItem(storageKey, encrypted[storageKey]);
+        else localStorage.removeItem(storageKey);
+    }
+    localStorage.setItem(CONFIG.STORAGE_KEYS.KEY_VAULT, JSON.stringify({
+        version: 1, salt: bytesToBase64(salt), iterations: VAULT_ITERATIONS, check
+    }));
+    keyVault = { cryptoKey, plain: { ...plain } };
+    touchKeyVault();
+}
+
+function readVaultPassphrase(id) {
+    const input = el(id);
+    const value = input?.value || '';
+    if (input) input.value = '';
+    return value;
+}
+
+async function enableKeyVault() {
+    const passphrase = readVaultPassphrase('vaultPassphrase');
+    const confirmation = readVaultPassphrase('vaultConfirmPassphrase');
+    if (passphrase.length < 8) {
+        showToast('Passphrase must be at least 8 characters', 'error');
+        return;
+    }
+    if (confirmation !== passphrase) {
+        showToast('Passphrases do not match', 'error');
+        return;
+    }
+
+    try {
+        await sealKeyVault(passphrase, readStorageKeys(apiKeyStorageKeys()));
+        renderKeyVault();
+        showToast('🔐 API keys encrypted', 'success');
+    } catch (err) {
+        showToast(`Encryption failed: ${err.message}`, 'error');
+    }
+}
+
+async function unlockKeyVault() {
+    const meta = getVaultMeta();
+    if (!meta || keyVault) return;
+    const passphrase = readVaultPassphrase('vaultPassphrase');
+    if (!passphrase) {
+        showToast('Enter your passphrase', 'error');
+        return;
+    }
+
+    try {
+        const cryptoKey = await deriveVaultKey(passphrase, base64ToBytes(meta.salt), meta.iterations);
+        if (await decryptString(cryptoKey, meta.check) !== VAULT_CHECK_TEXT) throw new Error('check mismatch');
+        keyVault = { cryptoKey, plain: await readVaultPlain(cryptoKey) };
+    } catch {
+        showToast('Wrong passphrase', 'error');
+        return;
+    }
+
+    touchKeyVault();
+    loadKeysFromStorage();
+    renderKeyVault();
+    updateGenerateButton();
+    showToast('🔓 API keys unlocked', 'success');
+    processOfflineQueue();
+}
+
+function lockKeyVault(reason = '') {
+    if (!keyVault) return;
+    keyVault = null;
+    loadKeysFromStorage();
+    renderKeyVault();
+    updateGenerateButton();
+    showToast(reason || '🔒 API keys locked', 'success');
+}
+
+async function changeVaultPassphrase() {
+    if (!keyVault) {
+        showToast('Unlock your API keys first', 'error');
+        return;
+    }
+    const current = readVaultPassphrase('vaultPassphrase');
+    const next = readVaultPassphrase('vaultNewPassphrase');
+    const confirmation = readVaultPassphrase('vaultConfirmPassphrase');
+    const meta = getVaultMeta();
+
+    try {
+        const cryptoKey = await deriveVaultKey(current, base64ToBytes(meta.salt), meta.iterations);
+        await decryptString(cryptoKey, meta.check);
+    } catch {
+        showToast('Current passphrase is wrong', 'error');
+        return;
+    }
+    if (next.length < 8) {
+        showToast('New passphrase must be at least 8 characters', 'error');
+        return;
+    }
+    if (confirmation !== next) {
+        showToast('Passphrases do not match', 'error');
+        return;
+    }
+
+    try {
+        await sealKeyVault(next, keyVault.plain);
+        renderKeyVault();
+        showToast('🔐 Passphrase changed', 'success');
+    } catch (err) {
+        showToast(`Re-encryption failed: ${err.message}`, 'error');
+    }
+}
+
+async function disableKeyVault() {
+    if (!keyVault) {
+        showToast('Unlock your API keys first', 'error');
+        return;
+    }
+    if (!confirm('Store API keys unencrypted again?')) return;
+
+    await vaultWrites;
+    const { plain } = keyVault;
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.KEY_VAULT);
+    keyVault = null;
+    for (const storageKey of apiKeyStorageKeys()) {
+        if (plain[storageKey]) localStorage.setItem(storageKey, plain[storageKey]);
+        else localStorage.removeItem(storageKey);
+    }
+    loadKeysFromStorage();
+    renderKeyVault();
+    showToast('API keys stored unencrypted', 'success');
+}
+
+function getVaultAutoLockMs() {
+    const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.VAULT_AUTOLOCK);
+    const minutes = stored === null ? VAULT_AUTOLOCK_DEFAULT_MIN : parseInt(stored, 10);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes * 60000 : 0;
+}
+
+function touchKeyVault() {
+    vaultLastActivity = Date.now();
+}
+
+// Lock after the configured idle time; never in the middle of a run
+function checkVaultAutoLock() {
+    const timeout = getVaultAutoLockMs();
+    if (!keyVault || !timeout || state.run || state.isGenerating) return;
+    if (Date.now() - vaultLastActivity >= timeout) lockKeyVault('🔒 API keys locked after inactivity');
+}
+
+function renderKeyVault() {
+    const enabled = isKeyVaultEnabled();
+    const status = el('keyVaultStatus');
+    if (status) {
+        status.textContent = !enabled ? '🔓 Keys stored unencrypted'
+            : keyVault ? '🔐 Encrypted · unlocked' : '🔒 Encrypted · locked';
+        status.className = `key-vault-status ${enabled && !keyVault ? 'locked' : ''}`;
+    }
+    const show = (id, visible) => { if (el(id)) el(id).style.display = visible ? '' : 'none'; };
+    show('btnVaultEnable', !enabled);
+    show('btnVaultUnlock', enabled && !keyVault);
+    show('btnVaultLock', enabled && !!keyVault);
+    show('vaultPassphraseRow', !enabled || !!keyVault);
+    show('vaultNewPassphrase', enabled);
+    show('vaultUnlockedTools', enabled && !!keyVault);
+    if (el('vaultPassphrase')) el('vaultPassphrase').placeholder = enabled && keyVault ? 'Current passphrase' : 'Passphrase';
+    const autoLock = el('vaultAutoLock');
+    if (autoLock) autoLock.value = String(getVaultAutoLockMs() / 60000);
+}
+
+// ========================================
+// Settings Management
+// ========================================
+function renderProviderSettings() {
+    const activeId = getActiveProviderId();
+
+    for (const provider of Object.values(AI_PROVIDERS)) {
+        const settings = getProviderSettings(provider.id);
+        const radio = document.querySelector(`input[name="provider"][value="${provider.id}"]`);
+        if (radio) radio.checked = provider.id === activeId;
+
+        const modelEl = el(`${provider.id}Model`);
+        if (modelEl) {
+            const options = provider.models.map(m => `<option value="${m.value}">${m.label}</option>`).join('');
+            if (modelEl.tagName === 'SELECT') modelEl.innerHTML = options;
+            else el(`${provider.id}Models`).innerHTML = options;
+            modelEl.value = settings.model;
+        }
+
+        const baseUrlEl = el(`${provider.id}BaseUrl`);
+        if (baseUrlEl) baseUrlEl.value = settings.baseUrl;
+
+        document.querySelectorAll(`.provider-extra[data-provider="${provider.id}"]`)
+            .forEach(row => { row.style.display = provider.id === activeId ? '' : 'none'; });
+    }
+
+    const active = AI_PROVIDERS[activeId];
+    el('newApiKeyInput').placeholder = `Paste new ${active.label} API key...`;
+    const helpLink = el('apiKeyHelpLink');
+    if (helpLink) helpLink.href = active.keyHelpUrl;
+}
+
+function setActiveProvider(providerId) {
+    if (!AI_PROVIDERS[providerId]) return;
+    localStorage.setItem(CONFIG.STORAGE_KEYS.PROVIDER, providerId);
+    renderProviderSettings();
+    loadKeysFromStorage();
+    updateGenerateButton();
+}
+
+function saveProviderField(providerId, field, value) {
+    const provider = AI_PROVIDERS[providerId];
+    const key = provider?.storage[field];
+    if (!key) return;
+    const clean = String(value || '').trim();
+    if (clean) localStorage.setItem(key, clean);
+    else localStorage.removeItem(key);
+}
+
+function loadSettings() {
+    renderProviderSettings();
+    loadKeysFromStorage();
+    loadTargetGenerator();
+    const streamToggle = el('streamOutput');
+    if (streamToggle) streamToggle.checked = localStorage.getItem(CONFIG.STORAGE_KEYS.STREAMING) !== '0';
+    updateGenerateButton();
+}
+
+function saveSettings() {
+    for (const provider of Object.values(AI_PROVIDERS)) {
+        saveProviderField(provider.id, 'model', el(`${provider.id}Model`)?.value);
+        if (provider.storage.baseUrl) saveProviderField(provider.id, 'baseUrl', el(`${provider.id}BaseUrl`)?.value);
+    }
+    showToast('Settings saved! ✅', 'success');
+    updateGenerateButton();
+
+    // Collapse settings
+    el('settingsCard')?.classList.add('collapsed');
+}
+
+function loadTargetGenerator() {
+    const select = el('targetGenerator');
+    if (!select) return;
+    select.innerHTML = Object.entries(TARGET_GENERATORS)
+        .map(([value, label]) => `<option value="${value}">🎯 ${label}</option>`).join('');
+    const stored = localStorage.getItem(CONFIG.STORAGE_KEYS.TARGET_GENERATOR);
+    select.value = TARGET_GENERATORS[stored] ? stored : 'none';
+    el('sdWeights').checked = localStorage.getItem(CONFIG.STORAGE_KEYS.SD_WEIGHTS) === '1';
+    updateTargetGeneratorUI();
+}
+
+function updateTargetGeneratorUI() {
+    const toggle = el('sdWeightsToggle');
+    if (toggle) toggle.style.display = el('targetGenerator')?.value === 'sd' ? '' : 'none';
+}
+
+// ========================================
+// Image Handling
+// ========================================
+function fileToDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+}
+
+async function handleImageFile(file) {
+    if (file?.type.startsWith('video/')) {
+        openVideoPicker(file);
+        return;
+    }
+    if (!file || !file.type.startsWith('image/')) {
+        showToast('Please select an image file', 'error');
+        return;
+    }
+
+    try {
+        const dataUrl = await compressImage(file, 1024, 0.85);
+        setPreviewImage(dataUrl, file.name || null);
+    } catch (err) {
+        showToast('Failed to load image: ' + err.message, 'error');
+    }
+}
+
+// PNG/WebP/GIF with real transparency stay lossless PNG so the cutout detector sees the alpha;
+// everything else is re-encoded as JPEG
+async function compressImage(file, maxSize, quality) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(img.src);
+            let width = img.width;
+            let height = img.height;
+
+            if (width > maxSize || height > maxSize) {
+                if (width > height) {
                     height = Math.round(height * maxSize / width);
                     width = maxSize;
                 } else {
@@ -656,43 +1773,216 @@ async function compressImage(file, maxSize, quality) {
             const ctx = canvas.getContext('2d');
             ctx.drawImage(img, 0, 0, width, height);
 
-            resolve(canvas.toDataURL('image/jpeg', quality));
+            const keepAlpha = /^image\/(png|webp|gif)$/i.test(file.type) && canvasHasAlpha(ctx, width, height);
+            resolve(keepAlpha ? canvas.toDataURL('image/png') : canvas.toDataURL('image/jpeg', quality));
         };
         img.onerror = reject;
         img.src = URL.createObjectURL(file);
     });
 }
 
-function setPreviewImage(dataUrl) {
+function canvasHasAlpha(ctx, width, height) {
+    const { data } = ctx.getImageData(0, 0, width, height);
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] < 255) return true;
+    }
+    return false;
+}
+
+function setPreviewImage(dataUrl, name = null, source = null) {
     state.imageDataUrl = dataUrl;
-    const preview = el('preview');
-    preview.innerHTML = `<img src="${dataUrl}" alt="Preview">`;
+    state.imageName = name;
+    state.imageSource = source;
+    imageEdit = { original: dataUrl, rotation: 0, crop: null, selecting: false };
+    renderPreview();
+    renderImageAnalysis();
     updateGenerateButton();
 }
 
 function clearPreview() {
     state.imageDataUrl = null;
+    state.imageName = null;
+    state.imageSource = null;
+    imageEdit = null;
     el('preview').innerHTML = `
     <div class="placeholder">
       <span class="placeholder-icon">🖼️</span>
       <span>Tap Camera or Gallery to add image</span>
     </div>
   `;
+    const tools = el('imageEditTools');
+    if (tools) tools.style.display = 'none';
     updateGenerateButton();
 }
 
+// ========================================
+// Image Editor (rotate / crop to region)
+// ========================================
+// Edits apply to the original; state.imageDataUrl always holds the edited result,
+// so generation, detectors, history and the queue all see just the selected region.
+let imageEdit = null; // {original, rotation: 0|90|180|270, crop: {x, y, w, h} (0..1 of rotated image), selecting}
+
+async function renderEditedImage(edit, withCrop = true) {
+    const bmp = await createImageBitmap(await dataUrlToBlob(edit.original));
+    const turned = edit.rotation % 180 !== 0;
+    const rw = turned ? bmp.height : bmp.width;
+    const rh = turned ? bmp.width : bmp.height;
+    const crop = withCrop && edit.crop ? edit.crop : { x: 0, y: 0, w: 1, h: 1 };
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(rw * crop.w));
+    canvas.height = Math.max(1, Math.round(rh * crop.h));
+    const ctx = canvas.getContext('2d');
+
+    // Shift so the crop origin lands at 0,0, then rotate the full image around its centre
+    ctx.translate(-crop.x * rw, -crop.y * rh);
+    ctx.translate(rw / 2, rh / 2);
+    ctx.rotate(edit.rotation * Math.PI / 180);
+    ctx.drawImage(bmp, -bmp.width / 2, -bmp.height / 2);
+    bmp.close?.();
+
+    return edit.original.startsWith('data:image/png')
+        ? canvas.toDataURL('image/png')
+        : canvas.toDataURL('image/jpeg', 0.92);
+}
+
+async function applyImageEdit() {
+    if (!imageEdit) return;
+    const edited = imageEdit.rotation || imageEdit.crop;
+    try {
+        state.imageDataUrl = edited ? await renderEditedImage(imageEdit) : imageEdit.original;
+    } catch (err) {
+        showToast('Failed to edit image: ' + err.message, 'error');
+    }
+    renderPreview();
+    renderImageAnalysis();
+}
+
+async function renderPreview() {
+    const preview = el('preview');
+    if (!imageEdit) return;
+
+    if (imageEdit.selecting) {
+        // Show the whole (rotated) image so a new region can be drawn on it
+        const full = imageEdit.rotation
+            ? await renderEditedImage(imageEdit, false)
+            : imageEdit.original;
+        preview.innerHTML = `
+            <div class="crop-stage" id="cropStage">
+                <img src="${full}" alt="Preview" draggable="false">
+                <div class="crop-box" id="cropBox" style="display:none"></div>
+            </div>
+        `;
+        bindRegionSelect(el('cropStage'));
+    } else {
+        preview.innerHTML = `<img src="${state.imageDataUrl}" alt="Preview">`;
+    }
+
+    const tools = el('imageEditTools');
+    if (tools) tools.style.display = '';
+    el('btnSelectRegion')?.classList.toggle('is-active', imageEdit.selecting);
+
+    const info = el('imageEditInfo');
+    if (info) {
+        const parts = [];
+        if (imageEdit.rotation) parts.push(`↻ ${imageEdit.rotation}°`);
+        if (imageEdit.crop) parts.push(`✂️ ${Math.round(imageEdit.crop.w * 100)}×${Math.round(imageEdit.crop.h * 100)}% region`);
+        if (imageEdit.selecting) parts.push('Drag on the image to select a region');
+        info.textContent = parts.join(' · ');
+    }
+}
+
+function bindRegionSelect(stage) {
+    const box = el('cropBox');
+    let start = null;
+
+    const point = (e) => {
+        const rect = stage.querySelector('img').getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)),
+            y: Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height))
+        };
+    };
+    const regionTo = (p) => ({
+        x: Math.min(start.x, p.x),
+        y: Math.min(start.y, p.y),
+        w: Math.abs(p.x - start.x),
+        h: Math.abs(p.y - start.y)
+    });
+
+    stage.addEventListener('pointerdown', (e) => {
+        start = point(e);
+        stage.setPointerCapture(e.pointerId);
+        box.style.display = 'block';
+    });
+    stage.addEventListener('pointermove', (e) => {
+        if (!start) return;
+        const r = regionTo(point(e));
+        Object.assign(box.style, {
+            left: `${r.x * 100}%`, top: `${r.y * 100}%`, width: `${r.w * 100}%`, height: `${r.h * 100}%`
+        });
+    });
+    stage.addEventListener('pointerup', async (e) => {
+        if (!start) return;
+        const r = regionTo(point(e));
+        start = null;
+        // Ignore taps; a region has to be big enough to describe
+        if (r.w < 0.03 || r.h < 0.03) {
+            box.style.display = 'none';
+            return;
+        }
+        imageEdit.crop = r;
+        imageEdit.selecting = false;
+        await applyImageEdit();
+    });
+}
+
+async function rotateImage(direction) {
+    if (!imageEdit) return;
+    imageEdit.rotation = (imageEdit.rotation + direction * 90 + 360) % 360;
+    imageEdit.crop = null;  // The old region no longer matches the turned image
+    await applyImageEdit();
+}
+
+async function toggleRegionSelect() {
+    if (!imageEdit) return;
+    imageEdit.selecting = !imageEdit.selecting;
+    await renderPreview();
+}
+
+async function resetImageEdit() {
+    if (!imageEdit) return;
+    Object.assign(imageEdit, { rotation: 0, crop: null, selecting: false });
+    await applyImageEdit();
+}
+
+// One image goes to the preview, several go to the batch queue; videos open the frame picker
+async function handleImageFiles(files) {
+    let list = Array.from(files || []);
+    const video = list.find(f => f.type?.startsWith('video/'));
+    if (video) {
+        openVideoPicker(video);
+        list = list.filter(f => !f.type?.startsWith('video/'));
+    }
+    if (list.length > 1) {
+        await enqueueImages(list);
+    } else if (list.length === 1) {
+        await handleImageFile(list[0]);
+    }
+}
+
 async function handlePaste() {
     try {
         const items = await navigator.clipboard.read();
+        const blobs = [];
         for (const item of items) {
-            for (const type of item.types) {
-                if (type.startsWith('image/')) {
-                    const blob = await item.getType(type);
-                    await handleImageFile(blob);
-                    showToast('Image pasted! 📋', 'success');
-                    return;
-                }
-            }
+            const type = item.types.find(t => t.startsWith('image/'));
+            if (type) blobs.push(await item.getType(type));
+        }
+        if (blobs.length > 0) {
+            await handleImageFiles(blobs);
+            if (blobs.length === 1) showToast('Image pasted! 📋', 'success');
+            return;
         }
         showToast('No image in clipboard', 'error');
     } catch (err) {
@@ -701,124 +1991,816 @@ async function handlePaste() {
 }
 
 // ========================================
-// URL Image Extraction
+// Video Frame Picker
 // ========================================
-function extractYouTubeId(url) {
-    const patterns = [
-        /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
-        /youtube\.com\/embed\/([a-zA-Z0-9_-]{11})/
-    ];
-    for (const pattern of patterns) {
-        const match = url.match(pattern);
-        if (match) return match[1];
+let videoPicker = null; // {file, url, name}
+let autoPickController = null; // Aborts a running key frame auto-pick
+
+function formatTimecode(seconds) {
+    const ms = Math.round((seconds % 1) * 1000);
+    const s = Math.floor(seconds);
+    const hh = String(Math.floor(s / 3600)).padStart(2, '0');
+    const mm = String(Math.floor((s % 3600) / 60)).padStart(2, '0');
+    const ss = String(s % 60).padStart(2, '0');
+    return `${hh}:${mm}:${ss}.${String(ms).padStart(3, '0')}`;
+}
+
+function openVideoPicker(file) {
+    closeVideoPicker();
+    const url = URL.createObjectURL(file);
+    videoPicker = { file, url, name: (file.name || 'video').replace(/\.[^.]+$/, '') };
+
+    const video = el('videoPlayer');
+    video.src = url;
+    el('videoFrames').innerHTML = '';
+    el('videoPickerCard').style.display = '';
+    el('videoPickerName').textContent = file.name || 'video';
+    el('videoPickerCard').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeVideoPicker() {
+    autoPickController?.abort();
+    if (videoPicker) URL.revokeObjectURL(videoPicker.url);
+    videoPicker = null;
+    const video = el('videoPlayer');
+    if (video) {
+        video.pause();
+        video.removeAttribute('src');
+        video.load();
     }
-    return null;
+    const card = el('videoPickerCard');
+    if (card) card.style.display = 'none';
 }
 
-async function extractImageFromUrl() {
-    const urlInput = el('urlInput');
-    const status = el('urlStatus');
-    const btn = el('btnExtractUrl');
+// Settles on 'seeked'; rejects on error, when the source is removed ('emptied') or on abort
+function seekVideo(video, seconds, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+        const cleanup = () => {
+            video.removeEventListener('seeked', done);
+            video.removeEventListener('error', fail);
+            video.removeEventListener('emptied', fail);
+            signal?.removeEventListener('abort', abort);
+        };
+        const done = () => {
+            cleanup();
+            resolve();
+        };
+        const fail = () => {
+            cleanup();
+            reject(new Error('Video seek failed'));
+        };
+        const abort = () => {
+            cleanup();
+            reject(abortError());
+        };
+        video.addEventListener('seeked', done);
+        video.addEventListener('error', fail);
+        video.addEventListener('emptied', fail);
+        signal?.addEventListener('abort', abort);
+        video.currentTime = Math.min(Math.max(0, seconds), Math.max(0, video.duration - 0.05));
+    });
+}
 
-    const url = urlInput.value.trim();
-    if (!url) {
-        status.textContent = '❌ Please enter a URL';
-        status.className = 'url-status error';
-        return;
+// Current video frame as a JPEG data URL, capped like uploaded images
+function captureVideoFrame(video, maxSize = 1024) {
+    const s = Math.min(1, maxSize / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * s);
+    canvas.height = Math.round(video.videoHeight * s);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.9);
+}
+
+function videoFrameSource(seconds) {
+    return { video: videoPicker.file.name || videoPicker.name, seconds, timecode: formatTimecode(seconds) };
+}
+
+function videoFrameName(seconds) {
+    return `${videoPicker.name}_${formatTimecode(seconds).replace(/[:.]/g, '-')}.jpg`;
+}
+
+function grabVideoFrame() {
+    const video = el('videoPlayer');
+    if (!videoPicker || !video.videoWidth) return;
+    const t = video.currentTime;
+    setPreviewImage(captureVideoFrame(video), videoFrameName(t), videoFrameSource(t));
+    showToast(`Frame ${formatTimecode(t)} sent to preview 🎬`, 'success');
+}
+
+async function queueVideoFrame() {
+    const video = el('videoPlayer');
+    if (!videoPicker || !video.videoWidth) return;
+    const t = video.currentTime;
+    const blob = await dataUrlToBlob(captureVideoFrame(video));
+    await enqueueImages([blob], [videoFrameName(t)], [videoFrameSource(t)]);
+}
+
+// Small grayscale signature of the current frame for scene-change scoring
+function frameSignature(video, ctx) {
+    ctx.drawImage(video, 0, 0, 32, 18);
+    const { data } = ctx.getImageData(0, 0, 32, 18);
+    const gray = new Float32Array(32 * 18);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
     }
+    return gray;
+}
 
+/**
+ * Pick N key frames: sample the video evenly, score each sample by how much it
+ * differs from the previous one (scene change), then keep the N highest scores
+ * that are not too close together. The first sample always counts as a cut.
+ */
+async function autoPickKeyFrames() {
+    const video = el('videoPlayer');
+    if (!videoPicker || !video.duration || !isFinite(video.duration)) return;
+
+    const count = parseInt(el('videoKeyframeCount').value) || 5;
+    const btn = el('btnAutoPickFrames');
     btn.disabled = true;
-    status.textContent = '⏳ Extracting...';
-    status.className = 'url-status loading';
+    video.pause();
+    const controller = new AbortController();
+    autoPickController = controller;
+    const { signal } = controller;
 
     try {
-        let imageUrl;
-
-        const ytId = extractYouTubeId(url);
-        if (ytId) {
-            imageUrl = `https://img.youtube.com/vi/${ytId}/maxresdefault.jpg`;
-        } else if (url.match(/\.(jpg|jpeg|png|gif|webp)(\?|$)/i)) {
-            imageUrl = url;
-        } else {
-            throw new Error('Unsupported URL. Use YouTube or direct image URL.');
+        const duration = video.duration;
+        const samples = Math.min(120, Math.max(count * 4, Math.ceil(duration * 2)));
+        const ctx = new OffscreenCanvas(32, 18).getContext('2d', { willReadFrequently: true });
+
+        const scored = [];
+        let prev = null;
+        for (let i = 0; i < samples; i++) {
+            const t = (i + 0.5) * duration / samples;
+            await seekVideo(video, t, signal);
+            const sig = frameSignature(video, ctx);
+            let diff = Infinity;
+            if (prev) {
+                diff = 0;
+                for (let p = 0; p < sig.length; p++) diff += Math.abs(sig[p] - prev[p]);
+                diff /= sig.length;
+            }
+            scored.push({ t, diff });
+            prev = sig;
+            btn.textContent = `⏳ ${Math.round((i + 1) / samples * 100)}%`;
         }
 
-        const dataUrl = await loadImageAsDataUrl(imageUrl);
-        setPreviewImage(dataUrl);
-
-        urlInput.value = '';
-        status.textContent = '✅ Image loaded!';
-        status.className = 'url-status success';
-        showToast('Image extracted! 🔗', 'success');
+        const minGap = duration / (count * 2);
+        const picked = [];
+        for (const s of [...scored].sort((a, b) => b.diff - a.diff)) {
+            if (picked.length >= count) break;
+            if (picked.every(p => Math.abs(p.t - s.t) >= minGap)) picked.push(s);
+        }
+        picked.sort((a, b) => a.t - b.t);
 
+        const frames = [];
+        for (const { t } of picked) {
+            await seekVideo(video, t, signal);
+            frames.push({ t, dataUrl: captureVideoFrame(video) });
+        }
+        renderVideoFrames(frames);
     } catch (err) {
-        status.textContent = '❌ ' + err.message;
-        status.className = 'url-status error';
+        // Closing the picker or opening another video cancels silently
+        if (!signal.aborted) showToast('Key frame detection failed: ' + err.message, 'error');
     } finally {
+        if (autoPickController === controller) autoPickController = null;
         btn.disabled = false;
+        btn.textContent = '✨ Auto-pick';
     }
 }
 
-async function loadImageAsDataUrl(url) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        img.onload = () => {
-            const canvas = document.createElement('canvas');
-            canvas.width = img.naturalWidth;
-            canvas.height = img.naturalHeight;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            try {
-                resolve(canvas.toDataURL('image/jpeg', 0.9));
-            } catch (e) {
-                reject(new Error('Cannot load image (CORS blocked)'));
-            }
-        };
-        img.onerror = () => reject(new Error('Failed to load image'));
-        img.src = url;
-        setTimeout(() => reject(new Error('Timeout')), 15000);
-    });
+let videoFrames = [];
+
+function renderVideoFrames(frames) {
+    videoFrames = frames;
+    const container = el('videoFrames');
+    if (frames.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    container.innerHTML = frames.map((f, i) => `
+        <div class="video-frame" onclick="previewVideoFrame(${i})" title="Send to preview">
+            <img src="${f.dataUrl}" alt="">
+            <span>${formatTimecode(f.t)}</span>
+        </div>
+    `).join('') + '<button class="btn-control" onclick="queueVideoFrames()">➕ Queue all</button>';
 }
 
-// ========================================
-// Gemini API Integration
-// ========================================
-async function callGeminiAPI(imageDataUrl, options) {
-    const apiKeys = getApiKeys();
-    const model = localStorage.getItem(CONFIG.STORAGE_KEYS.MODEL) || 'gemini-2.5-flash-lite';
+function previewVideoFrame(index) {
+    const f = videoFrames[index];
+    if (!f || !videoPicker) return;
+    setPreviewImage(f.dataUrl, videoFrameName(f.t), videoFrameSource(f.t));
+    showToast(`Frame ${formatTimecode(f.t)} sent to preview 🎬`, 'success');
+}
 
-    if (!apiKeys.length) {
-        throw new Error('Please set your Gemini API key(s) in Settings');
-    }
+async function queueVideoFrames() {
+    if (!videoPicker || videoFrames.length === 0) return;
+    const blobs = await Promise.all(videoFrames.map(f => dataUrlToBlob(f.dataUrl)));
+    await enqueueImages(blobs, videoFrames.map(f => videoFrameName(f.t)), videoFrames.map(f => videoFrameSource(f.t)));
+}
 
-    const base64Match = imageDataUrl.match(/^data:image\/(\w+);base64,(.+)$/);
-    if (!base64Match) {
-        throw new Error('Invalid image data');
+function updateVideoScrubber() {
+    const video = el('videoPlayer');
+    const scrubber = el('videoScrubber');
+    if (!video.duration || !isFinite(video.duration)) return;
+    scrubber.max = video.duration;
+    scrubber.value = video.currentTime;
+    el('videoTime').textContent = `${formatTimecode(video.currentTime)} / ${formatTimecode(video.duration)}`;
+}
+
+// ========================================
+// URL Image Extraction
+// ========================================
+function extractYouTubeId(url) {
+    const patterns = [
+        /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
+        /youtube\.com\/embed\/([a-zA-Z0-9_-]{11})/
+    ];
+    for (const pattern of patterns) {
+        const match = url.match(pattern);
+        if (match) return match[1];
     }
+    return null;
+}
 
-    const mimeType = `image/${base64Match[1]}`;
-    const base64Data = base64Match[2];
+// ----- CORS proxy -----
+// Template with {url} (encoded target) or a prefix the encoded URL is appended to
+function getCorsProxy() {
+    return (localStorage.getItem(CONFIG.STORAGE_KEYS.CORS_PROXY) || '').trim();
+}
 
-    // Run detectors BEFORE API call (like Extension)
-    const cs = await detectCopySpace(imageDataUrl);
-    const cut = await detectCutoutOrCheckerboard(imageDataUrl);
+function proxiedUrl(url) {
+    const proxy = getCorsProxy();
+    if (!proxy) return url;
+    return proxy.includes('{url}') ? proxy.replace('{url}', encodeURIComponent(url)) : proxy + encodeURIComponent(url);
+}
 
-    // Dynamic hints based on detection (matching Extension)
-    const copyspaceHint = cs?.isCopySpace && cs.side
-        ? `\n\nIMPORTANT: This image appears to have significant copy space on the ${cs.side}. Include "copy space on the ${cs.side}" in your prompt.`
-        : '';
+// ----- X / Twitter mirror -----
+// Host only ("fxtwitter.com"); empty = X links are not sent to any mirror
+function getXMirror() {
+    return (localStorage.getItem(CONFIG.STORAGE_KEYS.X_MIRROR) || '')
+        .trim().replace(/^https?:\/\//i, '').replace(/\/.*$/, '');
+}
 
-    const cutoutHint = cut?.cutout || cut?.checker
-        ? '\n\nIMPORTANT: This image appears to be a product cutout/isolated subject. Describe it as "isolated on white background".'
-        : '';
+// Error naming the resolver that failed and why
+function resolverError(resolver, reason) {
+    const err = new Error(`${resolver.label}: ${reason}`);
+    err.name = 'ResolverError';
+    return err;
+}
 
-    // Build system prompt based on output format (matching Extension quality)
-    let systemPrompt;
+// A hung host or CORS proxy must not leave the extract flow waiting forever
+const REMOTE_FETCH_TIMEOUT_MS = 15000;
 
-    if (options.outputFormat === 'json') {
-        // JSON format - structured output
-        systemPrompt = `You are an elite creative prompt engineer specializing in AI video/image generation and cinematic scene description.
+async function fetchPageHtml(resolver, url) {
+    if (!getCorsProxy()) {
+        throw resolverError(resolver, 'pages cannot be read without a CORS proxy - set one in ⚙️ API Settings');
+    }
+    let response;
+    try {
+        response = await fetch(proxiedUrl(url), { signal: AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS) });
+    } catch (err) {
+        throw resolverError(resolver, `CORS proxy unreachable (${err.message})`);
+    }
+    if (!response.ok) throw resolverError(resolver, `page fetch failed (HTTP ${response.status})`);
+    return response.text();
+}
+
+// og:image first, then the other common share-image tags
+function findShareImage(html, baseUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const selectors = [
+        'meta[property="og:image:secure_url"]',
+        'meta[property="og:image"]',
+        'meta[name="og:image"]',
+        'meta[name="twitter:image"]',
+        'meta[property="twitter:image"]',
+        'meta[name="twitter:image:src"]',
+        'link[rel="image_src"]'
+    ];
+    for (const selector of selectors) {
+        const node = doc.querySelector(selector);
+        const url = resolveUrl(node?.getAttribute('content') || node?.getAttribute('href'), baseUrl);
+        if (url) return url;
+    }
+    return null;
+}
+
+async function resolveOgImage(resolver, url, hint = '') {
+    const html = await fetchPageHtml(resolver, url);
+    const image = findShareImage(html, url);
+    if (!image) throw resolverError(resolver, `no og:image on the page${hint ? ` (${hint})` : ''}`);
+    return [image];
+}
+
+// ----- Per-site resolvers -----
+// Each turns a page URL into candidate image URLs, tried in order
+const URL_RESOLVERS = [
+    {
+        id: 'youtube',
+        label: 'YouTube',
+        test: (url) => !!extractYouTubeId(url),
+        // maxresdefault only exists for HD uploads; the smaller ones always do
+        resolve: async (url) => ['maxresdefault', 'sddefault', 'hqdefault']
+            .map(name => `https://img.youtube.com/vi/${extractYouTubeId(url)}/${name}.jpg`),
+        // Missing sizes come back as a 120x90 gray placeholder, not an error
+        minWidth: 121
+    },
+    {
+        id: 'image',
+        label: 'Direct image',
+        test: (url) => /\.(jpg|jpeg|png|gif|webp|avif)(\?|#|$)/i.test(url),
+        resolve: async (url) => [url]
+    },
+    {
+        id: 'pinterest',
+        label: 'Pinterest',
+        test: (url) => /(^|\.)pinterest\.[a-z.]+\/|\/\/pin\.it\//i.test(url),
+        resolve(url) { return resolveOgImage(this, url); }
+    },
+    {
+        id: 'instagram',
+        label: 'Instagram',
+        test: (url) => /\/\/(www\.)?instagram\.com\//i.test(url),
+        resolve(url) { return resolveOgImage(this, url, 'private post or login wall?'); }
+    },
+    {
+        id: 'facebook',
+        label: 'Facebook',
+        test: (url) => /\/\/([a-z]+\.)?(facebook\.com|fb\.watch|fb\.com)\//i.test(url),
+        resolve(url) { return resolveOgImage(this, url, 'post must be public'); }
+    },
+    {
+        id: 'x',
+        label: 'X / Twitter',
+        test: (url) => /\/\/(www\.|mobile\.)?(x\.com|twitter\.com)\/\w+\/status\/\d+/i.test(url),
+        // x.com pages are rendered by script; a mirror such as fxtwitter.com serves the same post
+        // with og tags. The link then goes to that service, so it is only used when configured.
+        resolve(url) {
+            const host = getXMirror();
+            if (!host) {
+                throw resolverError(this, 'X pages need a mirror service (e.g. fxtwitter.com) - set one in ⚙️ API Settings');
+            }
+            const mirror = url.replace(/\/\/(www\.|mobile\.)?(x\.com|twitter\.com)\//i, `//${host}/`);
+            return resolveOgImage(this, mirror, `post deleted, protected or text-only? (via mirror ${host})`);
+        }
+    },
+    {
+        id: 'generic',
+        label: 'Web page',
+        test: (url) => /^https?:\/\//i.test(url),
+        resolve(url) { return resolveOgImage(this, url); }
+    }
+];
+
+// Load an image URL; falls back to the CORS proxy when the image host blocks canvas reads
+async function loadRemoteImage(resolver, url) {
+    let blob;
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS) });
+        if (response.ok) blob = await response.blob();
+    } catch {
+        // CORS blocked - try the proxy below
+    }
+    if (!blob && getCorsProxy()) {
+        try {
+            const response = await fetch(proxiedUrl(url), { signal: AbortSignal.timeout(REMOTE_FETCH_TIMEOUT_MS) });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            blob = await response.blob();
+        } catch (err) {
+            throw resolverError(resolver, `image download failed via proxy (${err.message})`);
+        }
+    }
+    if (!blob) throw resolverError(resolver, 'image host blocks direct downloads - set a CORS proxy in ⚙️ API Settings');
+    if (!blob.type.startsWith('image/')) throw resolverError(resolver, `link is not an image (${blob.type || 'unknown type'})`);
+
+    const dataUrl = await compressImage(blob, 1024, 0.85);
+    if (resolver.minWidth) {
+        const bmp = await createImageBitmap(blob);
+        const tooSmall = bmp.width < resolver.minWidth;
+        bmp.close?.();
+        if (tooSmall) throw resolverError(resolver, 'placeholder image (size not available)');
+    }
+    return dataUrl;
+}
+
+async function resolveImageFromUrl(url) {
+    const resolver = URL_RESOLVERS.find(r => r.test(url));
+    if (!resolver) throw new Error('Unsupported URL - paste an http(s) link');
+
+    const candidates = await resolver.resolve(url);
+    let lastError = null;
+    for (const candidate of candidates) {
+        try {
+            return { dataUrl: await loadRemoteImage(resolver, candidate), resolver };
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    throw lastError || resolverError(resolver, 'no image found');
+}
+
+async function extractImageFromUrl() {
+    const urlInput = el('urlInput');
+    const status = el('urlStatus');
+    const btn = el('btnExtractUrl');
+
+    const url = urlInput.value.trim();
+    if (!url) {
+        status.textContent = '❌ Please enter a URL';
+        status.className = 'url-extract-status error';
+        return;
+    }
+
+    btn.disabled = true;
+    status.textContent = '⏳ Extracting...';
+    status.className = 'url-extract-status loading';
+
+    try {
+        const { dataUrl, resolver } = await resolveImageFromUrl(url);
+        setPreviewImage(dataUrl);
+
+        urlInput.value = '';
+        status.textContent = `✅ Image loaded (${resolver.label})`;
+        status.className = 'url-extract-status success';
+        showToast('Image extracted! 🔗', 'success');
+
+    } catch (err) {
+        status.textContent = '❌ ' + err.message;
+        status.className = 'url-extract-status error';
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ========================================
+// Share Target (Android share sheet)
+// ========================================
+const SHARE_CACHE = 'promptforge-share';  // Filled by sw.js on a share POST
+
+// First http(s) URL in shared text, since many apps put the link there instead of in url
+function findSharedUrl(meta) {
+    if (meta.url) return meta.url;
+    return `${meta.text} ${meta.title}`.match(/https?:\/\/\S+/)?.[0] || '';
+}
+
+async function consumeSharedItems() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('share') || !('caches' in window)) return;
+
+    // Drop ?share=1 so a reload does not import again
+    params.delete('share');
+    history.replaceState(null, '', `${location.pathname}${params.toString() ? `?${params}` : ''}`);
+
+    try {
+        const cache = await caches.open(SHARE_CACHE);
+        const metaResponse = await cache.match('./shared/meta');
+        if (!metaResponse) return;
+        const meta = await metaResponse.json();
+
+        const files = [];
+        for (const f of meta.files) {
+            const response = await cache.match(f.key);
+            if (response) files.push(new File([await response.blob()], f.name, { type: f.type }));
+        }
+        await caches.delete(SHARE_CACHE);
+
+        if (files.length > 0) {
+            switchTab('pgTab');
+            await handleImageFiles(files);
+            return;
+        }
+
+        const url = findSharedUrl(meta);
+        if (url) {
+            switchTab('pgTab');
+            el('urlInput').value = url;
+            await extractImageFromUrl();
+        } else {
+            showToast('Nothing to import from share', 'error');
+        }
+    } catch (err) {
+        console.error('Share import failed:', err);
+        showToast('Could not import shared item', 'error');
+    }
+}
+
+// ========================================
+// Alt Text Extractor (Extractor tab)
+// ========================================
+let extractedImages = []; // [{url, text}] found by the last extraction
+
+// Generic alts that describe nothing useful for a prompt
+const GENERIC_ALT_RE = /^(image|img|photo|picture|pic|logo|icon|avatar|thumbnail|banner|placeholder|loading|spacer|profile (photo|picture)|untitled)( \d+)?$/i;
+
+function cleanAltText(text) {
+    if (!text) return '';
+    let out = String(text)
+        .replace(/\s+/g, ' ')
+        .replace(/^(image may contain|may be an image of|photo of|image of|picture of)\s*:?\s*/i, '')
+        .replace(/\s*[-–|]\s*(royalty[- ]free\s*)?(stock\s*(photo|image|vector|illustration)s?|photo\s*stock)\b.*$/i, '')
+        .replace(/\s*\|\s*[^|]{1,40}$/, '')  // Trailing "| Site Name"
+        .replace(/^["'“”‘’\s]+|["'“”‘’\s]+$/g, '')
+        .trim();
+    if (out.length < 8 || GENERIC_ALT_RE.test(out)) return '';
+    return out;
+}
+
+// "red-apple_on-table-1234.jpg" -> "red apple on table"
+function describeFromFilename(url) {
+    try {
+        const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+        return name
+            .replace(/\.[a-z0-9]+$/i, '')
+            .replace(/[-_+.]+/g, ' ')
+            .replace(/\b\d+\b/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    } catch {
+        return '';
+    }
+}
+
+function resolveUrl(url, baseUrl) {
+    if (!url) return null;
+    try {
+        const resolved = new URL(url.trim(), baseUrl || undefined).href;
+        return /^https?:/i.test(resolved) ? resolved : null;
+    } catch {
+        return null;
+    }
+}
+
+function extractAltsFromHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const meta = (key) => doc.querySelector(`meta[property="${key}"], meta[name="${key}"]`)?.getAttribute('content') || '';
+    const baseUrl = doc.querySelector('base[href]')?.getAttribute('href') || meta('og:url') || null;
+    const results = [];
+
+    // Social cards: the image alt is best, the page description a fallback
+    for (const card of ['og', 'twitter']) {
+        const image = resolveUrl(meta(`${card}:image`) || meta(`${card}:image:src`), baseUrl);
+        if (!image) continue;
+        results.push({
+            url: image,
+            text: meta(`${card}:image:alt`) || meta(`${card}:description`) || meta(`${card}:title`)
+        });
+    }
+
+    doc.querySelectorAll('img').forEach(img => {
+        const src = img.getAttribute('src') || img.getAttribute('data-src') ||
+            (img.getAttribute('srcset') || '').split(',')[0].trim().split(/\s+/)[0];
+        results.push({
+            url: resolveUrl(src, baseUrl),
+            text: img.getAttribute('alt') || img.getAttribute('title') || ''
+        });
+        const title = img.getAttribute('title');
+        if (title && title !== img.getAttribute('alt')) results.push({ url: null, text: title });
+    });
+
+    return results;
+}
+
+function extractAltsFromUrlList(text) {
+    return text.split(/[\s,]+/)
+        .map(u => resolveUrl(u))
+        .filter(Boolean)
+        .map(url => ({ url, text: describeFromFilename(url) }));
+}
+
+function runAltExtraction() {
+    const source = el('extractorSource')?.value || '';
+    const status = el('extractorStatus');
+
+    if (!source.trim()) {
+        status.textContent = '❌ Paste HTML or image URLs first (or load a file)';
+        status.className = 'extractor-status error';
+        return;
+    }
+
+    const isHtml = /<\s*(html|head|body|img|meta|div|a)\b/i.test(source);
+    const raw = isHtml ? extractAltsFromHtml(source) : extractAltsFromUrlList(source);
+
+    // Dedupe texts case-insensitively and image URLs exactly
+    const seenText = new Set(), seenUrl = new Set();
+    const texts = [];
+    extractedImages = [];
+    let duplicates = 0;
+
+    for (const { url, text } of raw) {
+        const clean = cleanAltText(text);
+        if (clean) {
+            const key = clean.toLowerCase();
+            if (seenText.has(key)) duplicates++;
+            else {
+                seenText.add(key);
+                texts.push(clean);
+            }
+        }
+        if (url && !seenUrl.has(url)) {
+            seenUrl.add(url);
+            extractedImages.push({ url, text: clean });
+        }
+    }
+
+    el('extractorEditor').value = texts.join('\n');
+    renderExtractedImages();
+
+    if (texts.length === 0 && extractedImages.length === 0) {
+        status.textContent = '⚠️ No alt texts or images found';
+        status.className = 'extractor-status error';
+        return;
+    }
+
+    status.textContent = `✅ ${texts.length} description${texts.length === 1 ? '' : 's'}` +
+        (duplicates ? ` (${duplicates} duplicate${duplicates === 1 ? '' : 's'} removed)` : '') +
+        ` · ${extractedImages.length} image URL${extractedImages.length === 1 ? '' : 's'}`;
+    status.className = 'extractor-status success';
+}
+
+function renderExtractedImages() {
+    const container = el('extractorImages');
+    if (!container) return;
+
+    container.innerHTML = extractedImages.map((img, idx) => `
+        <div class="extractor-image-item">
+            <img src="${escapeHtml(img.url)}" alt="" class="extractor-thumb" loading="lazy" referrerpolicy="no-referrer">
+            <div class="extractor-image-text">${escapeHtml(img.text || img.url)}</div>
+            <button class="btn-control" onclick="sendExtractedImageToPreview(${idx})" title="Use for prompt generation">➡️ Use</button>
+        </div>
+    `).join('');
+}
+
+async function sendExtractedImageToPreview(index) {
+    const img = extractedImages[index];
+    if (!img) return;
+
+    const status = el('extractorStatus');
+    status.textContent = '⏳ Loading image...';
+    status.className = 'extractor-status';
+
+    try {
+        // Same download path as URL extract, so the CORS proxy fallback applies
+        const direct = URL_RESOLVERS.find(r => r.id === 'image');
+        setPreviewImage(await loadRemoteImage(direct, img.url));
+        status.textContent = '✅ Image sent to preview';
+        status.className = 'extractor-status success';
+        switchTab('pgTab');
+        showToast('Image ready for prompt generation 🖼️', 'success');
+    } catch (err) {
+        status.textContent = `❌ ${err.message}`;
+        status.className = 'extractor-status error';
+    }
+}
+
+async function loadExtractorFile(file) {
+    if (!file) return;
+    try {
+        el('extractorSource').value = await file.text();
+        runAltExtraction();
+    } catch (err) {
+        showToast('Failed to read file: ' + err.message, 'error');
+    }
+}
+
+async function copyExtracted() {
+    const text = el('extractorEditor')?.value.trim() || '';
+    if (!text) {
+        showToast('Nothing to copy', 'error');
+        return;
+    }
+    await copyToClipboard(text);
+    showToast('Extracted text copied! 📋', 'success');
+}
+
+// ========================================
+// Structured Output Schemas
+// ========================================
+function schemaObject(properties) {
+    return { type: 'object', properties, required: Object.keys(properties), additionalProperties: false };
+}
+
+const SCHEMA_STRING = { type: 'string' };
+
+// Response schemas per output format (mirrors the shapes in the system prompts)
+const OUTPUT_SCHEMAS = {
+    json: schemaObject({
+        scene_description: SCHEMA_STRING,
+        visual_elements: schemaObject({
+            weather: SCHEMA_STRING,
+            environment: SCHEMA_STRING,
+            lighting: SCHEMA_STRING,
+            style: SCHEMA_STRING
+        }),
+        camera_control: schemaObject({
+            motion: SCHEMA_STRING,
+            shot_type: SCHEMA_STRING,
+            angle: SCHEMA_STRING,
+            depth_of_field: SCHEMA_STRING
+        }),
+        color_palette: schemaObject({
+            dominant_colors: SCHEMA_STRING,
+            accents: SCHEMA_STRING,
+            mood: SCHEMA_STRING
+        }),
+        textures_materials: SCHEMA_STRING,
+        audio_suggestion: schemaObject({
+            ambience: SCHEMA_STRING,
+            music_mood: SCHEMA_STRING
+        })
+    }),
+    stock: schemaObject({
+        title: SCHEMA_STRING,
+        description: SCHEMA_STRING,
+        keywords: { type: 'array', items: SCHEMA_STRING }
+    })
+};
+
+// Gemini responseSchema uses upper-case OpenAPI types and no additionalProperties
+function toGeminiSchema(schema) {
+    const out = { type: schema.type.toUpperCase() };
+    if (schema.properties) {
+        out.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([k, v]) => [k, toGeminiSchema(v)])
+        );
+        out.required = schema.required;
+        out.propertyOrdering = Object.keys(schema.properties);
+    }
+    if (schema.items) out.items = toGeminiSchema(schema.items);
+    return out;
+}
+
+// Returns a list of problems, empty when the value matches the schema
+function validateSchema(value, schema, path = '$') {
+    const problems = [];
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return [`${path} must be an object`];
+        }
+        for (const key of schema.required || []) {
+            if (!(key in value)) problems.push(`${path}.${key} is missing`);
+        }
+        for (const [key, sub] of Object.entries(schema.properties || {})) {
+            if (key in value) problems.push(...validateSchema(value[key], sub, `${path}.${key}`));
+        }
+    } else if (schema.type === 'array') {
+        if (!Array.isArray(value) || value.length === 0) return [`${path} must be a non-empty array`];
+        value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    } else if (schema.type === 'string') {
+        if (typeof value !== 'string' || !value.trim()) problems.push(`${path} must be a non-empty string`);
+    }
+    return problems;
+}
+
+function schemaError(problems) {
+    const err = new Error(`Output failed validation: ${problems.slice(0, 3).join('; ')}`);
+    err.name = 'SchemaValidationError';
+    err.problems = problems;
+    return err;
+}
+
+// Parse model text as JSON and validate it, throwing schemaError on any problem
+function parseStructuredOutput(text, schema) {
+    const { jsonMatch } = extractJsonText(text);
+    if (!jsonMatch) throw schemaError(['response contains no JSON object']);
+
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonMatch);
+    } catch (e) {
+        throw schemaError([`invalid JSON (${e.message})`]);
+    }
+
+    const problems = validateSchema(parsed, schema);
+    if (problems.length) throw schemaError(problems);
+    return parsed;
+}
+
+function buildRepairPrompt(systemPrompt, badText, problems) {
+    return `Your previous answer did not match the required JSON format.
+
+PROBLEMS:
+${problems.slice(0, 10).map(p => `- ${p}`).join('\n')}
+
+PREVIOUS ANSWER:
+${String(badText || '').slice(0, 4000)}
+
+Return ONLY the corrected, complete JSON object. Keep the valid parts, fill every missing or empty field from the attached image, and follow the original instructions below.
+
+ORIGINAL INSTRUCTIONS:
+${systemPrompt}`;
+}
+
+// ========================================
+// System Prompt Templates
+// ========================================
+// Defaults per output format; user overrides are stored in localStorage (see getSystemPromptTemplate)
+const DEFAULT_SYSTEM_PROMPTS = {
+    json: `You are an elite creative prompt engineer specializing in AI video/image generation and cinematic scene description.
 
 TASK: Analyze the attached image and generate a STRUCTURED JSON object describing it comprehensively.
 
@@ -853,10 +2835,34 @@ REQUIREMENTS:
 - Return ONLY the JSON object, no markdown, no code blocks, no explanation
 - All values must be strings
 - Be specific and detailed in each field
-- Use professional, evocative language suitable for AI generation`;
-    } else {
-        // TXT format - detailed single paragraph
-        systemPrompt = `You are an elite creative prompt engineer specializing in AI image generation (Midjourney, DALL-E, Ideogram, Stable Diffusion) and commercial microstock photography.
+- Use professional, evocative language suitable for AI generation
+
+{{copySpaceHint}}
+
+{{cutoutHint}}`,
+    stock: `You are an expert microstock metadata specialist for Adobe Stock and Shutterstock.
+
+TASK: Analyze the attached image and write upload metadata that helps buyers find it in search.
+
+OUTPUT FORMAT - Return ONLY valid JSON with this exact structure:
+{
+  "title": "Short natural-language title of the image",
+  "description": "One descriptive sentence covering subject, action, setting and mood",
+  "keywords": ["most relevant keyword", "next keyword", "..."]
+}
+
+REQUIREMENTS:
+- title: at most {{titleMaxChars}} characters, plain English, no keyword lists, no quotes
+- description: at most {{descriptionMaxChars}} characters, a single sentence
+- keywords: {{keywordsMin}} to {{keywordsMax}} lowercase single words or short phrases
+- Rank keywords from most to least relevant; the first 10 must describe the main subject and concept
+- No duplicate keywords, no brand names, trademarks, or camera/technical jargon
+- Return ONLY the JSON object, no markdown, no code blocks, no explanation
+
+{{copySpaceHint}}
+
+{{cutoutHint}}`,
+    txt: `You are an elite creative prompt engineer specializing in AI image generation (Midjourney, DALL-E, Ideogram, Stable Diffusion) and commercial microstock photography.
 
 TASK: Analyze the attached image and generate ONE comprehensive, highly-detailed prompt that could recreate or describe it perfectly.
 
@@ -890,106 +2896,326 @@ REQUIREMENTS - Include ALL applicable elements:
 OUTPUT FORMAT:
 - Return ONLY the prompt as a single flowing paragraph
 - No numbering, no quotes, no bullet points
-- Target length: ${Math.floor((options.maxChars || 250) * 0.85)} to ${options.maxChars || 250} characters
+- Target length: {{minChars}} to {{maxChars}} characters
 - Prioritize visual richness and concrete descriptors over generic terms
-- Make it suitable for professional AI image generators`;
-    }
+- Make it suitable for professional AI image generators
 
-    // Append dynamic detection hints (matching Extension behavior)
-    systemPrompt += copyspaceHint;
-    systemPrompt += cutoutHint;
+{{copySpaceHint}}
 
-    // Add style and aspect ratio hints
-    if (options.style) {
-        systemPrompt += `\n\nAPPLY STYLE: ${options.style}`;
-    }
-    if (options.aspectRatio) {
-        systemPrompt += `\n\nASPECT RATIO: ${options.aspectRatio}`;
-    }
-    if (options.extraParams) {
-        systemPrompt += `\n\nINCLUDE PARAMETERS: ${options.extraParams}`;
+{{cutoutHint}}`
+};
+
+// Placeholders a template can use; shown in the editor
+const SYSTEM_PROMPT_VARS = [
+    'maxChars', 'minChars', 'style', 'aspectRatio', 'details', 'copySpaceHint', 'cutoutHint', 'paletteHint',
+    'titleMaxChars', 'descriptionMaxChars', 'keywordsMin', 'keywordsMax'
+];
+
+function loadSystemPromptOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.SYSTEM_PROMPTS) || '{}') || {};
+    } catch {
+        return {};
     }
+}
 
-    const requestBody = {
-        contents: [{
-            parts: [
-                { text: systemPrompt },
-                {
-                    inline_data: {
-                        mime_type: mimeType,
-                        data: base64Data
-                    }
-                }
-            ]
-        }],
-        generationConfig: {
-            temperature: 0.9,
-            maxOutputTokens: 8192  // Increased from 500 - was causing truncation!
-        }
-    };
+function systemPromptKind(outputFormat) {
+    return DEFAULT_SYSTEM_PROMPTS[outputFormat] ? outputFormat : 'txt';
+}
 
-    const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+function getSystemPromptTemplate(outputFormat) {
+    const kind = systemPromptKind(outputFormat);
+    return loadSystemPromptOverrides()[kind] || DEFAULT_SYSTEM_PROMPTS[kind];
+}
 
-    // Retry with multiple keys
-    let attempt = 0;
-    let lastError = null;
-    const maxAttempts = apiKeys.length * 3;
+function saveSystemPromptTemplate(outputFormat, template) {
+    const kind = systemPromptKind(outputFormat);
+    const overrides = loadSystemPromptOverrides();
+    if (!template.trim() || template === DEFAULT_SYSTEM_PROMPTS[kind]) delete overrides[kind];
+    else overrides[kind] = template;
+    localStorage.setItem(CONFIG.STORAGE_KEYS.SYSTEM_PROMPTS, JSON.stringify(overrides));
+}
 
-    while (attempt < maxAttempts) {
-        attempt++;
-        const apiKey = await pickBestKey(apiKeys);
-        await waitMinDelay();
+// Fill {{name}} placeholders; unknown names are left in place so typos stay visible
+function renderTemplate(template, vars) {
+    return template
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in vars ? String(vars[name]) : match))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
 
-        const url = `${endpoint}?key=${encodeURIComponent(apiKey)}`;
+/**
+ * Render the system prompt for one request from the user's template.
+ * Style, aspect ratio, details and the palette hint are appended as separate sections
+ * unless the template places them itself via {{style}}/{{aspectRatio}}/{{details}}/{{paletteHint}}.
+ */
+function buildSystemPrompt(options, { cs = null, cut = null, palette = [] } = {}, template = getSystemPromptTemplate(options.outputFormat)) {
+    const maxChars = options.maxChars || CONFIG.DEFAULT_MAX_CHARS;
 
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestBody)
-            });
+    // Only prose terms go to the model; generator flags are added by formatForGenerator
+    const { terms } = parseGeneratorParams(options.extraParams);
 
-            if (response.status === 429) {
-                markKey429(apiKey);
-                const retryAfter = Number(response.headers.get('Retry-After'));
-                const waitTime = 2000 * attempt + (retryAfter > 0 ? retryAfter * 1000 : 0);
-                await sleep(waitTime + Math.random() * 500);
-                lastError = new Error('Rate limit exceeded');
-                continue;
-            }
+    // Dynamic hints based on detection (matching Extension)
+    const vars = {
+        maxChars,
+        minChars: options.minChars || Math.floor(maxChars * 0.85),
+        style: options.style || '',
+        aspectRatio: options.aspectRatio || '',
+        details: terms.join(', '),
+        copySpaceHint: cs?.isCopySpace && cs.side
+            ? `IMPORTANT: This image appears to have significant copy space on the ${cs.side}. Include "copy space on the ${cs.side}" in your prompt.`
+            : '',
+        cutoutHint: cut?.cutout || cut?.checker
+            ? 'IMPORTANT: This image appears to be a product cutout/isolated subject. Describe it as "isolated on white background".'
+            : '',
+        paletteHint: isPaletteHintEnabled() && palette.length
+            ? `COLOR PALETTE (measured from the image): ${palette.map(c => `${c.name} (${c.hex})`).join(', ')}. Use these color names when describing colors.`
+            : '',
+        titleMaxChars: CONFIG.STOCK.TITLE_MAX_CHARS,
+        descriptionMaxChars: CONFIG.STOCK.DESCRIPTION_MAX_CHARS,
+        keywordsMin: CONFIG.STOCK.KEYWORDS_MIN,
+        keywordsMax: CONFIG.STOCK.KEYWORDS_MAX
+    };
 
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                if (response.status >= 500) {
-                    await sleep(1500 + Math.random() * 600);
+    let systemPrompt = renderTemplate(template, vars);
+    const uses = (name) => new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(template);
+
+    // Add style and aspect ratio hints
+    if (vars.style && !uses('style')) {
+        systemPrompt += `\n\nAPPLY STYLE: ${vars.style}`;
+    }
+    if (vars.aspectRatio && !uses('aspectRatio')) {
+        systemPrompt += `\n\nASPECT RATIO: ${vars.aspectRatio}`;
+    }
+    if (vars.details && !uses('details')) {
+        systemPrompt += `\n\nINCLUDE DETAILS: ${vars.details}`;
+    }
+    if (vars.paletteHint && !uses('paletteHint')) {
+        systemPrompt += `\n\n${vars.paletteHint}`;
+    }
+    if (options.diversity) {
+        systemPrompt += buildDiversityHint(options.diversity);
+    }
+    if (options.outputFormat !== 'json' && options.outputFormat !== 'stock') {
+        systemPrompt += '\n\nDo NOT add generator parameters or flags (such as --ar, --style, --no) or (term:1.2) weights.';
+    }
+    return systemPrompt;
+}
+
+let __systemPromptKind = 'txt';
+
+function loadSystemPromptEditor(kind = __systemPromptKind) {
+    __systemPromptKind = systemPromptKind(kind);
+    const editor = el('systemPromptEditor');
+    if (!editor) return;
+    if (el('systemPromptFormat')) el('systemPromptFormat').value = __systemPromptKind;
+    editor.value = getSystemPromptTemplate(__systemPromptKind);
+    const custom = !!loadSystemPromptOverrides()[__systemPromptKind];
+    el('systemPromptStatus').textContent = custom ? '✏️ Custom template' : 'Default template';
+    el('systemPromptPreview').style.display = 'none';
+}
+
+function saveSystemPromptEditor() {
+    saveSystemPromptTemplate(__systemPromptKind, el('systemPromptEditor').value);
+    loadSystemPromptEditor();
+    showToast('System prompt saved ✅', 'success');
+}
+
+function resetSystemPromptEditor() {
+    if (!confirm(`Reset the ${__systemPromptKind.toUpperCase()} system prompt to the default?`)) return;
+    saveSystemPromptTemplate(__systemPromptKind, '');
+    loadSystemPromptEditor();
+    showToast('System prompt reset to default', 'success');
+}
+
+// Render the unsaved editor text with the current preset and preview image
+async function previewSystemPrompt() {
+    const { options } = getGenerationSettings();
+    const analysis = await analyzeImage(state.imageDataUrl);
+    const detections = { cs: analysis.copySpace, cut: analysis.cutout, palette: analysis.palette };
+
+    const rendered = buildSystemPrompt(
+        { ...options, outputFormat: __systemPromptKind },
+        detections,
+        el('systemPromptEditor').value
+    );
+
+    const preview = el('systemPromptPreview');
+    preview.textContent = rendered;
+    preview.style.display = 'block';
+}
+
+// ========================================
+// Vision API Integration
+// ========================================
+async function callVisionAPI(imageDataUrl, options) {
+    const signal = options.signal;
+    const provider = getActiveProvider();
+    const settings = getProviderSettings(provider.id);
+    const apiKeys = settings.keys;
+
+    if (provider.keyRequired && !apiKeys.length) {
+        throw new Error(`Please set your ${provider.label} API key(s) in Settings`);
+    }
+
+    const base64Match = imageDataUrl.match(/^data:image\/(\w+);base64,(.+)$/);
+    if (!base64Match) {
+        throw new Error('Invalid image data');
+    }
+
+    const mimeType = `image/${base64Match[1]}`;
+    const base64Data = base64Match[2];
+
+    // Run detectors BEFORE API call (like Extension); cached per image
+    const analysis = await analyzeImage(imageDataUrl);
+    const systemPrompt = buildSystemPrompt(options, {
+        cs: analysis.copySpace,
+        cut: analysis.cutout,
+        palette: analysis.palette
+    });
+
+    const request = {
+        model: settings.model,
+        systemPrompt,
+        mimeType,
+        base64Data,
+        imageDataUrl,
+        generation: { ...CONFIG.GENERATION_DEFAULTS, ...options.generation },
+        responseSchema: OUTPUT_SCHEMAS[options.outputFormat] || null
+    };
+
+    // Stream partial text to the caller when it asked for it
+    const onPartial = isStreamingEnabled() ? options.onPartial : null;
+    let text = await requestCompletion(provider, settings, request, signal, onPartial);
+
+    // Structured formats: ask the model to repair output that fails validation
+    for (let repair = 0; ; repair++) {
+        try {
+            return await processApiResponse(text, imageDataUrl, options);
+        } catch (err) {
+            if (err.name !== 'SchemaValidationError' || repair >= CONFIG.JSON_REPAIR_ATTEMPTS) throw err;
+            console.warn('[PWA DEBUG] Output failed validation, requesting repair:', err.problems);
+            text = await requestCompletion(provider, settings, {
+                ...request,
+                systemPrompt: buildRepairPrompt(systemPrompt, text, err.problems)
+            }, signal, onPartial);
+        }
+    }
+}
+
+// Send one request with key rotation and retries; resolves with the raw response text.
+// With onPartial set, the streaming endpoint is used and onPartial(textSoFar) fires per chunk.
+async function requestCompletion(provider, settings, request, signal, onPartial = null) {
+    const apiKeys = settings.keys;
+    const streaming = !!onPartial;
+    request = { ...request, stream: streaming };
+
+    // Keyless providers still go through the loop once per attempt
+    const keys = apiKeys.length ? apiKeys : [''];
+
+    // Retry with multiple keys
+    let attempt = 0;
+    let lastError = null;
+    const maxAttempts = keys.length * 3;
+
+    while (attempt < maxAttempts) {
+        attempt++;
+        const apiKey = await pickBestKey(keys, signal);
+        await waitMinDelay(signal, provider.minDelayMs);
+
+        const { url, init } = provider.buildRequest(request, apiKey, settings);
+        markKeyRequest(apiKey);
+
+        try {
+            const response = await fetch(url, { ...init, signal });
+
+            if (provider.isRateLimited(response)) {
+                markKey429(apiKey);
+                const waitTime = 2000 * attempt + provider.retryAfterMs(response);
+                await sleep(waitTime + Math.random() * 500, signal);
+                lastError = new Error('Rate limit exceeded');
+                continue;
+            }
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                if (response.status >= 500) {
+                    await sleep(1500 + Math.random() * 600, signal);
                     continue;
                 }
-                markKey429(apiKey);
-                lastError = new Error(error.error?.message || `API error: ${response.status}`);
+                markKeyError(apiKey);
+                lastError = new Error(apiErrorMessage(error, response.status));
                 continue;
             }
 
-            const data = await response.json();
-            // Join ALL parts like Extension does (fixes truncation)
-            const text = data.candidates?.[0]?.content?.parts?.map(p => p.text).join("") || "";
+            const text = streaming && response.body
+                ? await readStreamText(response, provider, onPartial)
+                : provider.extractText(await response.json());
 
             if (!text) {
                 lastError = new Error('Empty response from API');
-                await sleep(800);
+                await sleep(800, signal);
                 continue;
             }
 
             markKeyOK(apiKey);
-            return await processApiResponse(text, imageDataUrl, options);
+            return text;
 
         } catch (e) {
-            markKey429(apiKey);
+            // Pause/Stop: bubble up without penalising the key
+            if (isAbortError(e)) throw e;
+            markKeyError(apiKey);
             lastError = e;
-            await sleep(1200 + Math.random() * 500);
+            await sleep(1200 + Math.random() * 500, signal);
         }
     }
 
-    throw lastError || new Error('All API keys failed');
+    throw lastError || new Error(`All ${provider.label} API keys failed`);
+}
+
+// Strip markdown fences and pull out the JSON object, if any
+function extractJsonText(text) {
+    const jsonText = text.replace(/^```json\s*/i, '').replace(/^```\s*/i, '').replace(/```\s*$/i, '').trim();
+    const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
+    return { jsonText, jsonMatch: jsonMatch?.[0] || null };
+}
+
+// Shared TXT/stock line cleanup (matching Extension behavior)
+function postProcessLine(line, cut, maxChars, minChars = null) {
+    line = stripCopySpace(line);
+
+    // Enforce white background for cutout/transparent images
+    if (cut.cutout || cut.checker) {
+        line = addSuffixSafely(forceWhiteBackground(line), "isolated on white background", maxChars, minChars);
+    } else if (/transparent\s+background/i.test(line)) {
+        line = addSuffixSafely(forceWhiteBackground(line), "isolated on white background", maxChars, minChars);
+    }
+
+    // Clamp to max chars
+    return clampToMaxChars(line, maxChars, minChars);
+}
+
+// Dedupe, clean and cap stock keywords, keeping the model's ranking
+function cleanStockKeywords(keywords, cut) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(/[,;\n]+/);
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+        const kw = stripCopySpace(forceWhiteBackground(String(raw || '').toLowerCase()))
+            .replace(/[^\p{L}\p{N}\s'-]/gu, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (kw && !seen.has(kw)) {
+            seen.add(kw);
+            out.push(kw);
+        }
+    }
+    if (cut.cutout || cut.checker) {
+        for (const kw of ['isolated', 'white background']) {
+            if (!seen.has(kw)) out.splice(Math.min(out.length, 10), 0, kw);
+        }
+    }
+    return out.slice(0, CONFIG.STOCK.KEYWORDS_MAX);
 }
 
 // Process API response with post-processing
@@ -999,47 +3225,134 @@ async function processApiResponse(text, imageDataUrl, options) {
 
     // Process based on output format
     if (options.outputFormat === 'json') {
-        // Clean markdown code blocks if present
-        let jsonText = text.replace(/^```json\s*/i, '').replace(/^```\s*/i, '').replace(/```\s*$/i, '').trim();
-        console.log('[PWA DEBUG] Cleaned jsonText length:', jsonText?.length);
-
-        // Try to extract JSON object
-        const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            console.log('[PWA DEBUG] JSON match length:', jsonMatch[0]?.length);
-            try {
-                JSON.parse(jsonMatch[0]); // Validate it's valid JSON
-                return jsonMatch[0];
-            } catch (e) {
-                console.warn('[PWA DEBUG] Invalid JSON, returning raw:', e.message);
-                return jsonText || text;
-            }
+        // Never return malformed JSON: a schemaError triggers a repair request
+        const scene = parseStructuredOutput(text, OUTPUT_SCHEMAS.json);
+        return JSON.stringify(scene, null, 2);
+    }
+
+    // Image detectors for post-processing (cached from the request)
+    const cut = (await analyzeImage(imageDataUrl)).cutout;
+
+    if (options.outputFormat === 'stock') {
+        const meta = parseStructuredOutput(text, OUTPUT_SCHEMAS.stock);
+
+        const title = postProcessLine(meta.title, cut, CONFIG.STOCK.TITLE_MAX_CHARS);
+        const description = postProcessLine(meta.description, cut, CONFIG.STOCK.DESCRIPTION_MAX_CHARS);
+        const keywords = cleanStockKeywords(meta.keywords, cut);
+
+        if (!title || keywords.length === 0) {
+            throw schemaError(['title or keywords are empty after cleanup']);
         }
-        console.log('[PWA DEBUG] No JSON match found, returning raw text');
-        return jsonText || text;
+        if (keywords.length < CONFIG.STOCK.KEYWORDS_MIN) {
+            console.warn(`[PWA DEBUG] Only ${keywords.length} stock keywords returned`);
+        }
+
+        return JSON.stringify({ title, description, keywords }, null, 2);
     }
 
     // For TXT format, extract first line only (clean paragraph)
     let line = (text || "").split(/\r?\n/).map(s => s.trim()).filter(Boolean)[0] || "";
+    if (options.prefix && line) line = `${options.prefix.trim()} ${line}`;
+    return formatForGenerator(postProcessLine(line, cut, options.maxChars, options.minChars), options);
+}
+
+// ========================================
+// Diversity Mode
+// ========================================
+// Angle given to each later prompt of a run, in order
+const DIVERSITY_ANGLES = [
+    'lighting and atmosphere',
+    'composition, framing and camera angle',
+    'color palette, textures and materials',
+    'the main subject and its fine details',
+    'mood, emotion and storytelling',
+    'environment, background and context'
+];
+
+function isDiversityEnabled() {
+    return localStorage.getItem(CONFIG.STORAGE_KEYS.DIVERSITY) === '1';
+}
 
-    // Run image detectors for post-processing
-    const cs = await detectCopySpace(imageDataUrl);
-    const cut = await detectCutoutOrCheckerboard(imageDataUrl);
+function getDiversityThreshold() {
+    const value = parseFloat(localStorage.getItem(CONFIG.STORAGE_KEYS.DIVERSITY_THRESHOLD));
+    return Number.isFinite(value) ? value : CONFIG.DIVERSITY_DEFAULT_THRESHOLD;
+}
 
-    // Post-processing (matching Extension behavior)
-    line = stripCopySpace(line);
+function buildDiversityHint({ angle, avoid }) {
+    let hint = `\n\nVARIATION: This is one of several prompts for the same image. Focus this one on ${angle}.`;
+    if (avoid.length) {
+        hint += ' It must clearly differ from these earlier results - do not reuse their openings, phrasing or structure:\n' +
+            avoid.map(p => `- ${p.replace(/\s+/g, ' ').slice(0, 300)}`).join('\n');
+    }
+    return hint;
+}
 
-    // Enforce white background for cutout/transparent images
-    if (cut.cutout || cut.checker) {
-        line = addSuffixSafely(forceWhiteBackground(line), "isolated on white background", options.maxChars);
-    } else if (/transparent\s+background/i.test(line)) {
-        line = addSuffixSafely(forceWhiteBackground(line), "isolated on white background", options.maxChars);
+// Word bigrams of the text (JSON keys and punctuation ignored)
+function textShingles(text) {
+    const words = String(text || '')
+        .replace(/"[\w]+"\s*:/g, ' ')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+    const shingles = new Set();
+    for (let i = 0; i < words.length - 1; i++) shingles.add(`${words[i]} ${words[i + 1]}`);
+    if (words.length === 1) shingles.add(words[0]);
+    return shingles;
+}
+
+// Jaccard similarity of word bigrams, 0 (unrelated) .. 1 (identical)
+function textSimilarity(a, b) {
+    const sa = textShingles(a);
+    const sb = textShingles(b);
+    if (!sa.size || !sb.size) return 0;
+    let shared = 0;
+    for (const s of sa) if (sb.has(s)) shared++;
+    return shared / (sa.size + sb.size - shared);
+}
+
+function maxSimilarity(text, others) {
+    return others.reduce((max, other) => Math.max(max, textSimilarity(text, other)), 0);
+}
+
+/**
+ * Generate the next prompt of the run into state.prompts/state.promptScores.
+ * In diversity mode the request names an angle plus the prompts to avoid, and a
+ * result above the similarity threshold is regenerated (keeping the least similar try).
+ */
+async function generateNextPrompt(imageDataUrl, options, signal, onPartial) {
+    const previous = [...state.prompts];
+    const diverse = isDiversityEnabled() && previous.length > 0;
+    const threshold = getDiversityThreshold();
+    let best = null;
+
+    for (let attempt = 0; ; attempt++) {
+        const rejected = best ? [best.text] : [];
+        const text = await callVisionAPI(imageDataUrl, {
+            ...options,
+            signal,
+            onPartial,
+            diversity: diverse
+                ? { angle: DIVERSITY_ANGLES[(previous.length - 1 + attempt) % DIVERSITY_ANGLES.length], avoid: [...previous, ...rejected] }
+                : null
+        });
+        // Response may land just as Pause/Stop fires - drop it, resume redoes this index
+        if (signal.aborted) throw abortError();
+
+        const score = previous.length ? maxSimilarity(text, previous) : null;
+        if (!best || score < best.score) best = { text, score };
+        if (!diverse || score <= threshold || attempt >= CONFIG.DIVERSITY_RETRIES) break;
+        console.warn(`[PWA DEBUG] Prompt ${previous.length + 1} is ${Math.round(score * 100)}% similar, regenerating`);
     }
 
-    // Clamp to max chars
-    line = clampToMaxChars(line, options.maxChars);
+    state.prompts.push(best.text);
+    state.promptScores[state.prompts.length - 1] = best.score;
+    updateOutputTextarea();
+    return best.text;
+}
 
-    return line;
+function setDiversityMode(enabled) {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.DIVERSITY, enabled ? '1' : '0');
+    const row = el('diversityThresholdRow');
+    if (row) row.style.display = enabled ? '' : 'none';
 }
 
 // ========================================
@@ -1047,96 +3360,232 @@ async function processApiResponse(text, imageDataUrl, options) {
 // ========================================
 function updateGenerateButton() {
     const hasImage = !!state.imageDataUrl;
-    const hasApiKey = !!localStorage.getItem(CONFIG.STORAGE_KEYS.API_KEY);
+    const hasApiKey = hasProviderAccess();
 
     const btn = el('btnGenerate');
     if (!btn) return;
 
-    // Only disable if generating or missing image/API key (no license check here)
-    btn.disabled = !hasImage || !hasApiKey || state.isGenerating;
+    // Only disable if generating/paused or missing image/API key (no license check here)
+    btn.disabled = !hasImage || !hasApiKey || state.isGenerating || !!state.run;
 
-    if (!hasApiKey) {
-        btn.textContent = '⚠️ Set API Key';
+    if (state.isGenerating) {
+        btn.textContent = '⏳ Generating...';
+    } else if (state.run) {
+        btn.textContent = '⏸ Paused';
+    } else if (!hasApiKey) {
+        btn.textContent = isKeyVaultLocked() ? '🔒 Unlock API Keys' : '⚠️ Set API Key';
     } else if (!hasImage) {
         btn.textContent = '📷 Add Image First';
     } else {
         btn.textContent = '▶ Generate Prompts';
     }
+
+    updateRunControls();
 }
 
-async function generatePrompts() {
-    // Check license first - show modal if not licensed
-    if (!state.licenseValid) {
-        showLicenseModal(true);
-        showToast('Please activate your license first', 'error');
-        return;
+// Pause/Stop buttons follow the run lifecycle
+function updateRunControls() {
+    const pauseBtn = el('btnPause');
+    const stopBtn = el('btnStop');
+    if (pauseBtn) {
+        pauseBtn.disabled = !state.run;
+        pauseBtn.textContent = state.isPaused ? '▶ Resume' : '⏸ Pause';
     }
+    if (stopBtn) stopBtn.disabled = !state.run;
 
-    if (state.isGenerating || !state.imageDataUrl) return;
+    const runQueueBtn = el('btnRunQueue');
+    if (runQueueBtn) {
+        runQueueBtn.disabled = !!state.run || !queueItems.some(q => q.status === 'pending');
+    }
+}
 
+function setProgress(done, total) {
+    const percent = total ? Math.round((done / total) * 100) : 0;
+    el('progressBar').style.width = `${percent}%`;
+    el('progressPct').textContent = `${percent}%`;
+}
+
+// Read Output count, preset and format from the UI
+function getGenerationSettings() {
     const numPrompts = parseInt(el('numPrompts').value) || 2;
-    const templatePreset = el('templatePreset')?.value;
     const outputFormat = el('exportFormat')?.value || 'txt'; // Get output format
 
     // Get preset config or use defaults
-    const preset = TEMPLATE_PRESETS[templatePreset] || {};
-    const maxChars = 250;
+    const preset = getActivePreset() || {};
+    const maxChars = preset.maxChars || CONFIG.DEFAULT_MAX_CHARS;
+    const minChars = preset.minChars || null;
+    const generation = {
+        temperature: preset.temperature ?? CONFIG.GENERATION_DEFAULTS.temperature,
+        topP: preset.topP ?? null,
+        topK: preset.topK ?? null,
+        maxOutputTokens: preset.maxOutputTokens || CONFIG.GENERATION_DEFAULTS.maxOutputTokens
+    };
     const aspectRatio = preset.aspectRatio || '';
     const style = preset.style || '';
+    const prefix = preset.prefix || '';
     const extraParams = preset.params || '';
+    const target = el('targetGenerator')?.value || 'none';
+    const sdWeights = !!el('sdWeights')?.checked;
 
-    state.isGenerating = true;
-    state.prompts = [];
+    return {
+        numPrompts,
+        preset: preset.name || '',
+        options: { maxChars, minChars, generation, aspectRatio, style, prefix, extraParams, outputFormat, target, sdWeights }
+    };
+}
 
-    const btn = el('btnGenerate');
-    btn.disabled = true;
-    btn.textContent = '⏳ Generating...';
+async function generatePrompts() {
+    // Check license first - show modal if not licensed
+    if (!state.licenseValid) {
+        showLicenseModal(true);
+        showToast('Please activate your license first', 'error');
+        return;
+    }
 
-    el('output').value = '';
-    el('progressBar').style.width = '0%';
-    el('progressPct').textContent = '0%';
+    if (state.isGenerating || state.run || !state.imageDataUrl) return;
 
-    try {
-        for (let i = 0; i < numPrompts; i++) {
-            const percent = Math.round(((i + 1) / numPrompts) * 100);
-            el('progressBar').style.width = `${percent}%`;
-            el('progressPct').textContent = `${percent}%`;
+    if (!navigator.onLine && needsNetwork()) {
+        await queueOfflineGeneration();
+        return;
+    }
+
+    const { numPrompts, preset, options } = getGenerationSettings();
+    const imageDataUrl = state.imageDataUrl;
+    const imageSource = state.imageSource;
 
-            const promptText = await callGeminiAPI(state.imageDataUrl, {
-                maxChars, aspectRatio, style, extraParams, outputFormat
+    takeUsedKeys();
+    state.prompts = [];
+    state.promptScores = [];
+    state.run = {
+        total: numPrompts,
+        nextIndex: 0,
+        step: async (i, signal, reportProgress) => {
+            await generateNextPrompt(imageDataUrl, options, signal, (partial) => {
+                updateOutputTextarea(partial);
+                reportProgress(estimateStreamProgress(partial, options));
             });
+        },
+        finish: () => {
+            if (state.prompts.length > 0) {
+                saveToHistory(imageDataUrl, state.prompts, {
+                    ...buildHistoryMeta(preset, options),
+                    source: imageSource,
+                    keysUsed: takeUsedKeys()
+                });
+            }
+        },
+        doneMessage: () => `Generated ${numPrompts} prompts! ✨`,
+        stopMessage: () => state.prompts.length
+            ? `Stopped — kept ${state.prompts.length} of ${numPrompts} prompts`
+            : 'Stopped'
+    };
 
-            state.prompts.push(promptText);
-            updateOutputTextarea();
+    el('output').value = '';
+    setProgress(0, numPrompts);
+
+    await runGeneration();
+}
+
+// Runs (or resumes) the active run from run.nextIndex, one step per index.
+// A step that throws a non-abort error ends the run. Steps may report partial
+// progress (0..1) of their own index through the third argument.
+async function runGeneration() {
+    const run = state.run;
+    if (!run || state.isGenerating) return;
+
+    const controller = new AbortController();
+    state.abortController = controller;
+    state.isGenerating = true;
+    state.isPaused = false;
+    updateGenerateButton();
+
+    try {
+        for (let i = run.nextIndex; i < run.total; i++) {
+            await run.step(i, controller.signal, (fraction) => {
+                setProgress(i + Math.min(Math.max(fraction, 0), 0.99), run.total);
+            });
+            run.nextIndex = i + 1;
+            setProgress(run.nextIndex, run.total);
 
-            if (i < numPrompts - 1) {
-                await new Promise(r => setTimeout(r, 1000));
+            if (i < run.total - 1) {
+                await sleep(1000, controller.signal);
             }
         }
 
-        saveToHistory(state.imageDataUrl, state.prompts);
-        showToast(`Generated ${numPrompts} prompts! ✨`, 'success');
+        finishRun();
+        showToast(run.doneMessage(), 'success');
 
     } catch (err) {
-        showToast(err.message, 'error');
-        console.error('Generation error:', err);
+        if (isAbortError(err)) {
+            // Pause keeps the run for resume; Stop has already finished it
+            if (state.isPaused) showToast(`Paused at #${run.nextIndex + 1}`, 'default');
+        } else {
+            finishRun();
+            showToast(err.message, 'error');
+            console.error('Generation error:', err);
+        }
     } finally {
+        if (state.abortController === controller) state.abortController = null;
         state.isGenerating = false;
-        btn.textContent = '▶ Generate Prompts';
         updateGenerateButton();
     }
 }
 
-function updateOutputTextarea() {
+// Close the active run, keeping whatever was generated so far
+function finishRun() {
+    const run = state.run;
+    state.run = null;
+    state.isPaused = false;
+    run?.finish?.();
+}
+
+function togglePause() {
+    if (!state.run) return;
+
+    if (state.isPaused) {
+        runGeneration();
+        return;
+    }
+
+    state.isPaused = true;
+    state.abortController?.abort();
+    updateGenerateButton();
+}
+
+function stopGeneration() {
+    const run = state.run;
+    if (!run) return;
+
+    state.abortController?.abort();
+    finishRun();
+    updateGenerateButton();
+    showToast(run.stopMessage(), 'default');
+}
+
+// partial: streamed text of the prompt in progress, shown after the finished ones
+function updateOutputTextarea(partial = null) {
     const outputEl = el('output');
     if (!outputEl) return;
-    outputEl.value = state.prompts.map((p, i) => `#${i + 1}\n${p}`).join('\n\n');
+    const blocks = state.prompts.map((p, i) => {
+        const score = state.promptScores[i];
+        return score == null ? `#${i + 1}\n${p}` : `#${i + 1} (similarity ${Math.round(score * 100)}%)\n${p}`;
+    });
+    if (partial !== null) blocks.push(`#${state.prompts.length + 1}\n${partial}▍`);
+    outputEl.value = blocks.join('\n\n');
+    if (partial !== null) outputEl.scrollTop = outputEl.scrollHeight;
+}
+
+// Rough share of one prompt received so far, from typical output sizes
+function estimateStreamProgress(partial, options) {
+    const expected = { json: 1800, stock: 900 }[options.outputFormat] || (options.maxChars || 250) * 1.2;
+    return Math.min(0.95, partial.length / expected);
 }
 
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes as-is; escape them too so the result is safe inside attributes
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 async function copyPrompt(index) {
@@ -1146,190 +3595,1229 @@ async function copyPrompt(index) {
     }
 }
 
-async function copyAllPrompts() {
-    if (state.prompts.length === 0) {
-        showToast('No prompts to copy', 'error');
-        return;
+async function copyAllPrompts() {
+    if (state.prompts.length === 0) {
+        showToast('No prompts to copy', 'error');
+        return;
+    }
+
+    const text = state.prompts.map((p, i) => `#${i + 1}\n${p}`).join('\n\n');
+    await copyToClipboard(text);
+    showToast('All prompts copied! 📋', 'success');
+}
+
+function clearOutput() {
+    if (state.run) stopGeneration();
+    state.prompts = [];
+    state.promptScores = [];
+    el('output').value = '';
+    setProgress(0, 0);
+}
+
+// ========================================
+// Batch Queue
+// ========================================
+const QUEUE_STATUS_LABELS = {
+    pending: '⏳ Pending',
+    offline: '📴 Waiting for connection',
+    running: '⚙️ Running',
+    done: '✅ Done',
+    failed: '❌ Failed'
+};
+
+let queueItems = [];              // In-memory mirror of the IndexedDB queue store
+const queueThumbUrls = new Map(); // id -> object URL for list thumbnails
+
+function createQueueId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+async function loadQueue() {
+    try {
+        queueItems = (await idbGetAll('queue')).sort((a, b) => a.addedAt - b.addedAt);
+
+        // Items left running by a killed tab go back to pending
+        for (const item of queueItems) {
+            if (item.status === 'running') {
+                item.status = 'pending';
+                await idbPut('queue', item);
+            }
+        }
+
+        // Ask the browser not to evict the queue under storage pressure
+        navigator.storage?.persist?.();
+    } catch (err) {
+        console.error('Queue load failed:', err);
+        queueItems = [];
+    }
+    renderQueue();
+}
+
+async function enqueueImages(files, names = [], sources = []) {
+    const images = Array.from(files).filter(f => f && f.type?.startsWith('image/'));
+    if (images.length === 0) {
+        showToast('Please select image files', 'error');
+        return;
+    }
+
+    let added = 0;
+    for (const [i, file] of images.entries()) {
+        try {
+            const dataUrl = await compressImage(file, 1024, 0.85);
+            const item = {
+                id: createQueueId(),
+                name: names[i] || file.name || `image-${queueItems.length + 1}.jpg`,
+                blob: await dataUrlToBlob(dataUrl),
+                status: 'pending',
+                prompts: [],
+                error: null,
+                addedAt: Date.now(),
+                source: sources[i] || null
+            };
+            await idbPut('queue', item);
+            queueItems.push(item);
+            added++;
+        } catch (err) {
+            console.error('Enqueue failed:', file.name, err);
+        }
+    }
+
+    renderQueue();
+    showToast(`Added ${added} image${added === 1 ? '' : 's'} to queue 📚`, added ? 'success' : 'error');
+}
+
+async function enqueueCurrentImage() {
+    if (!state.imageDataUrl) {
+        showToast('Add an image first', 'error');
+        return;
+    }
+    const blob = await dataUrlToBlob(state.imageDataUrl);
+    await enqueueImages([blob], [`image-${queueItems.length + 1}.jpg`]);
+}
+
+async function setQueueStatus(item, status, error = null) {
+    item.status = status;
+    item.error = error;
+    await idbPut('queue', item);
+    renderQueue();
+}
+
+function renderQueue() {
+    const container = el('queueList');
+    if (!container) return;
+
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    queueItems.forEach(q => counts[q.status]++);
+    const summary = el('queueSummary');
+    if (summary) {
+        summary.textContent = queueItems.length
+            ? Object.entries(counts).filter(([, n]) => n).map(([k, n]) => `${n} ${k}`).join(' · ')
+            : '';
+    }
+
+    // Release thumbnails of removed items
+    for (const [id, url] of queueThumbUrls) {
+        if (!queueItems.some(q => q.id === id)) {
+            URL.revokeObjectURL(url);
+            queueThumbUrls.delete(id);
+        }
+    }
+
+    if (queueItems.length === 0) {
+        container.innerHTML = '<div class="queue-empty">Queue is empty. Add images to caption them in one run.</div>';
+    } else {
+        container.innerHTML = queueItems.map(item => {
+            if (!queueThumbUrls.has(item.id)) queueThumbUrls.set(item.id, URL.createObjectURL(item.blob));
+            const detail = item.status === 'failed'
+                ? item.error || 'Unknown error'
+                : item.prompts[0] || '';
+            return `
+            <div class="queue-item is-${item.status}">
+                <img src="${queueThumbUrls.get(item.id)}" alt="" class="queue-thumb" onclick="previewQueueItem('${item.id}')">
+                <div class="queue-info">
+                    <div class="queue-name">${escapeHtml(item.name)}</div>
+                    <div class="queue-detail">${escapeHtml(detail)}</div>
+                </div>
+                <span class="queue-status">${QUEUE_STATUS_LABELS[item.status === 'pending' && item.settings && !navigator.onLine ? 'offline' : item.status]}</span>
+                ${item.status === 'failed' ? `<button class="btn-remove" onclick="retryQueueItem('${item.id}')" title="Retry">↻</button>` : ''}
+                <button class="btn-remove" onclick="removeQueueItem('${item.id}')" title="Remove" ${item.status === 'running' ? 'disabled' : ''}>🗑️</button>
+            </div>
+        `;
+        }).join('');
+    }
+
+    updateRunControls();
+}
+
+// offlineOnly: run just the generations queued while offline, with their saved settings
+async function runQueue({ offlineOnly = false } = {}) {
+    if (!state.licenseValid) {
+        showLicenseModal(true);
+        showToast('Please activate your license first', 'error');
+        return;
+    }
+
+    if (state.isGenerating || state.run) return;
+
+    const pending = queueItems.filter(q => q.status === 'pending' && (!offlineOnly || q.settings));
+    if (pending.length === 0) {
+        showToast('No pending images in queue', 'error');
+        return;
+    }
+
+    const currentSettings = getGenerationSettings();
+    let done = 0, failed = 0;
+
+    state.run = {
+        total: pending.length,
+        nextIndex: 0,
+        step: async (i, signal, reportProgress) => {
+            const item = pending[i];
+            if (!queueItems.includes(item)) return; // Removed while waiting
+            const { numPrompts, preset, options } = item.settings || currentSettings;
+
+            await setQueueStatus(item, 'running');
+            takeUsedKeys();
+            state.prompts = [];
+            state.promptScores = [];
+            updateOutputTextarea();
+
+            try {
+                const dataUrl = await fileToDataUrl(item.blob);
+                for (let n = 0; n < numPrompts; n++) {
+                    await generateNextPrompt(dataUrl, options, signal, (partial) => {
+                        updateOutputTextarea(partial);
+                        reportProgress((n + estimateStreamProgress(partial, options)) / numPrompts);
+                    });
+                    reportProgress((n + 1) / numPrompts);
+                }
+                item.prompts = [...state.prompts];
+                item.outputFormat = options.outputFormat;
+                await setQueueStatus(item, 'done');
+                saveToHistory(dataUrl, item.prompts, {
+                    ...buildHistoryMeta(preset, options),
+                    fileName: item.name,
+                    source: item.source || null,
+                    keysUsed: takeUsedKeys()
+                });
+                done++;
+            } catch (err) {
+                // Pause/Stop: the item runs again from scratch next time
+                if (isAbortError(err)) {
+                    await setQueueStatus(item, 'pending');
+                    throw err;
+                }
+                await setQueueStatus(item, 'failed', err.message);
+                failed++;
+            }
+        },
+        finish: () => {
+            if (offlineOnly) notifyOfflineQueueDone(done, failed);
+        },
+        doneMessage: () => `Queue finished: ${done} done, ${failed} failed`,
+        stopMessage: () => `Queue stopped: ${done} done, ${failed} failed`
+    };
+
+    el('output').value = '';
+    setProgress(0, pending.length);
+
+    await runGeneration();
+}
+
+// ========================================
+// Offline Generation Queue
+// ========================================
+// Generations requested offline become queue items carrying a snapshot of their
+// settings. API keys live in localStorage, which the service worker cannot read,
+// so the Background Sync event only wakes an open app (or notifies the user);
+// the app itself runs the items once it is back online.
+const OFFLINE_SYNC_TAG = 'pf-offline-queue';
+
+// Local servers (Ollama) keep working without a network connection
+function needsNetwork() {
+    return getActiveProviderId() !== 'ollama';
+}
+
+async function queueOfflineGeneration() {
+    const settings = getGenerationSettings();
+    const item = {
+        id: createQueueId(),
+        name: state.imageName || `offline-${queueItems.length + 1}.jpg`,
+        blob: await dataUrlToBlob(state.imageDataUrl),
+        status: 'pending',
+        prompts: [],
+        error: null,
+        addedAt: Date.now(),
+        source: state.imageSource,
+        settings
+    };
+    await idbPut('queue', item);
+    queueItems.push(item);
+    renderQueue();
+
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+    try {
+        const reg = await navigator.serviceWorker?.ready;
+        await reg?.sync?.register(OFFLINE_SYNC_TAG);
+    } catch (err) {
+        console.warn('[PWA DEBUG] Background Sync unavailable, will retry when online:', err);
+    }
+
+    showToast('📴 Offline — queued, will generate when back online', 'success');
+}
+
+async function processOfflineQueue() {
+    if (!navigator.onLine || state.run || !state.licenseValid || isKeyVaultLocked()) return;
+    if (!queueItems.some(q => q.status === 'pending' && q.settings)) return;
+    showToast('🔄 Back online — running queued generations');
+    await runQueue({ offlineOnly: true });
+}
+
+async function notifyOfflineQueueDone(done, failed) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const body = `${done} generation${done === 1 ? '' : 's'} saved to history` + (failed ? `, ${failed} failed` : '');
+    try {
+        const reg = await navigator.serviceWorker?.ready;
+        if (reg) await reg.showNotification('PromptForge', { body, icon: 'icon.svg', tag: OFFLINE_SYNC_TAG });
+        else new Notification('PromptForge', { body, icon: 'icon.svg' });
+    } catch (err) {
+        console.warn('[PWA DEBUG] Notification failed:', err);
+    }
+}
+
+async function retryQueueItem(id) {
+    const item = queueItems.find(q => q.id === id);
+    if (!item || item.status !== 'failed') return;
+    await setQueueStatus(item, 'pending');
+}
+
+async function retryFailedQueue() {
+    const failed = queueItems.filter(q => q.status === 'failed');
+    if (failed.length === 0) {
+        showToast('No failed items', 'error');
+        return;
+    }
+    for (const item of failed) await setQueueStatus(item, 'pending');
+    showToast(`${failed.length} item${failed.length === 1 ? '' : 's'} queued for retry`, 'success');
+}
+
+async function removeQueueItem(id) {
+    const item = queueItems.find(q => q.id === id);
+    if (!item || item.status === 'running') return;
+    await idbDelete('queue', id);
+    queueItems = queueItems.filter(q => q !== item);
+    renderQueue();
+}
+
+async function clearDoneQueue() {
+    const done = queueItems.filter(q => q.status === 'done');
+    for (const item of done) await idbDelete('queue', item.id);
+    queueItems = queueItems.filter(q => q.status !== 'done');
+    renderQueue();
+    showToast(`Removed ${done.length} done item${done.length === 1 ? '' : 's'}`, 'success');
+}
+
+async function clearQueue() {
+    if (queueItems.some(q => q.status === 'running')) {
+        showToast('Stop the queue first', 'error');
+        return;
+    }
+    if (!confirm('Remove all images from the queue?')) return;
+    await idbClear('queue');
+    queueItems = [];
+    renderQueue();
+    showToast('Queue cleared', 'success');
+}
+
+// Show a queue item in the preview, with its prompts if it has any
+async function previewQueueItem(id) {
+    const item = queueItems.find(q => q.id === id);
+    if (!item) return;
+    setPreviewImage(await fileToDataUrl(item.blob), item.name);
+    if (item.prompts.length && !state.run) {
+        state.prompts = [...item.prompts];
+        state.promptScores = [];
+        updateOutputTextarea();
+    }
+}
+
+// ========================================
+// History Management
+// ========================================
+let historyEntries = [];              // In-memory mirror of the IndexedDB history store, newest first
+const historyThumbUrls = new Map();   // id -> object URL for list thumbnails
+
+function getHistory() {
+    return historyEntries;
+}
+
+// Newest first; imported entries can be re-numbered, so ids do not follow dates
+function sortHistoryByDate(entries) {
+    return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+async function loadHistoryStore() {
+    try {
+        await migrateLegacyHistory();
+        historyEntries = sortHistoryByDate(await idbGetAll('history'));
+        for (const entry of historyEntries) {
+            if (scrubKeyLabels(entry.meta)) await idbPut('history', entry);
+        }
+    } catch (err) {
+        console.error('History load failed:', err);
+        historyEntries = [];
+    }
+    renderHistoryList();
+}
+
+// One-time move of both localStorage history formats into IndexedDB
+async function migrateLegacyHistory() {
+    if (localStorage.getItem(CONFIG.STORAGE_KEYS.HISTORY_MIGRATED)) return;
+
+    const readLegacy = (key) => {
+        try {
+            return JSON.parse(localStorage.getItem(key) || '[]');
+        } catch {
+            return [];
+        }
+    };
+
+    const merged = new Map();
+
+    // pf_prompt_history: {id, timestamp, prompts, imageThumb (truncated, unusable), favorite}
+    for (const h of readLegacy(CONFIG.STORAGE_KEYS.PROMPT_HISTORY)) {
+        if (!h?.id || !Array.isArray(h.prompts)) continue;
+        merged.set(h.id, {
+            id: h.id,
+            timestamp: h.timestamp || new Date(h.id).toISOString(),
+            prompts: h.prompts,
+            favorite: !!h.favorite,
+            imageDataUrl: null
+        });
+    }
+
+    // pf_history: {id, thumbnail (full data URL), prompts, date}
+    for (const h of readLegacy(CONFIG.STORAGE_KEYS.HISTORY)) {
+        if (!h?.id || !Array.isArray(h.prompts)) continue;
+        const existing = merged.get(h.id);
+        merged.set(h.id, {
+            id: h.id,
+            timestamp: h.date || existing?.timestamp || new Date(h.id).toISOString(),
+            prompts: h.prompts,
+            favorite: !!existing?.favorite,
+            imageDataUrl: h.thumbnail?.startsWith('data:image/') ? h.thumbnail : null
+        });
+    }
+
+    for (const h of merged.values()) {
+        await idbPut('history', await createHistoryEntry(h.imageDataUrl, h.prompts, {}, {
+            id: h.id,
+            timestamp: h.timestamp,
+            favorite: h.favorite
+        }));
+    }
+
+    localStorage.setItem(CONFIG.STORAGE_KEYS.HISTORY_MIGRATED, String(Date.now()));
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.PROMPT_HISTORY);
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.HISTORY);
+    if (merged.size) console.log(`[PWA DEBUG] Migrated ${merged.size} legacy entries to IndexedDB`);
+}
+
+async function createHistoryEntry(imageDataUrl, prompts, meta, overrides = {}) {
+    let imageBlob = null, thumbBlob = null;
+    if (imageDataUrl) {
+        try {
+            imageBlob = await dataUrlToBlob(imageDataUrl);
+            thumbBlob = await dataUrlToBlob(await compressImage(imageBlob, CONFIG.THUMB_SIZE, 0.7));
+        } catch (err) {
+            console.warn('History thumbnail failed:', err);
+        }
+    }
+
+    return {
+        id: Date.now(),
+        timestamp: new Date().toISOString(),
+        prompts: [...prompts],
+        favorite: false,
+        tags: [],
+        imageBlob,
+        thumbBlob,
+        meta: { ...meta },
+        ...overrides
+    };
+}
+
+// Generation settings recorded alongside each history entry
+function buildHistoryMeta(preset, options) {
+    return {
+        provider: getActiveProviderId(),
+        model: getProviderSettings().model,
+        preset: preset || '',
+        outputFormat: options.outputFormat,
+        target: options.target,
+        maxChars: options.maxChars,
+        style: options.style,
+        aspectRatio: options.aspectRatio
+    };
+}
+
+async function saveToHistory(imageDataUrl, prompts, meta = {}) {
+    if (!prompts || prompts.length === 0) return;
+
+    try {
+        const { copySpace, cutout, palette } = await analyzeImage(imageDataUrl);
+        const detection = {
+            copySpace: copySpace.isCopySpace ? copySpace.side : null,
+            cutout: cutout.cutout,
+            checker: cutout.checker
+        };
+        const entry = await createHistoryEntry(imageDataUrl, prompts, { ...meta, detection, palette });
+        // Batch items can finish within the same millisecond
+        while (historyEntries.some(h => h.id === entry.id)) entry.id++;
+
+        await idbPut('history', entry);
+        historyEntries.unshift(entry);
+        await trimHistory();
+    } catch (err) {
+        console.error('Save history failed:', err);
+        showToast('Could not save to history', 'error');
+    }
+
+    renderHistoryList();
+}
+
+// Keep only recent entries (favorites are never trimmed)
+async function trimHistory() {
+    while (historyEntries.length > CONFIG.HISTORY_LIMIT) {
+        const oldest = [...historyEntries].reverse().find(h => !h.favorite);
+        if (!oldest) break;
+        await idbDelete('history', oldest.id);
+        historyEntries = historyEntries.filter(h => h !== oldest);
+    }
+    await pruneAnalysisStore().catch(err => console.warn('Analysis prune failed:', err));
+}
+
+function getHistoryThumbUrl(entry) {
+    if (!entry.thumbBlob) return null;
+    if (!historyThumbUrls.has(entry.id)) historyThumbUrls.set(entry.id, URL.createObjectURL(entry.thumbBlob));
+    return historyThumbUrls.get(entry.id);
+}
+
+function detectionLabel(detection) {
+    if (!detection) return '';
+    if (detection.cutout) return 'Cutout';
+    if (detection.checker) return 'Checkerboard';
+    if (detection.copySpace) return `Copy space ${detection.copySpace}`;
+    return 'None';
+}
+
+// Dropdown filters; each reads one value (or list of values) from an entry
+const HISTORY_FILTERS = [
+    { id: 'historyFilterModel', label: 'All models', values: h => [h.meta?.model] },
+    { id: 'historyFilterPreset', label: 'All presets', values: h => [h.meta?.preset] },
+    { id: 'historyFilterFormat', label: 'All formats', values: h => [h.meta?.outputFormat?.toUpperCase()] },
+    { id: 'historyFilterMaxChars', label: 'Any length', values: h => [h.meta?.maxChars && `${h.meta.maxChars} chars`] },
+    { id: 'historyFilterDetection', label: 'Any detection', values: h => [detectionLabel(h.meta?.detection)] },
+    { id: 'historyFilterKey', label: 'Any key', values: h => (h.meta?.keysUsed || []).map(k => k.label) },
+    { id: 'historyFilterTag', label: 'All tags', values: h => h.tags || [] }
+];
+
+// Split a search into terms; "quoted phrases" stay together
+function parseSearchTerms(query) {
+    return (query.toLowerCase().match(/"[^"]+"|\S+/g) || [])
+        .map(t => t.replace(/^"|"$/g, '').trim())
+        .filter(Boolean);
+}
+
+function historySearchText(h) {
+    const meta = h.meta || {};
+    return [
+        ...h.prompts, ...(h.tags || []), meta.model, meta.preset, meta.style, meta.fileName,
+        meta.source?.video, ...(meta.palette || []).map(c => c.name)
+    ].filter(Boolean).join('\n').toLowerCase();
+}
+
+// Escape text and wrap every search term match in <mark>
+function highlightTerms(text, terms) {
+    if (!terms.length) return escapeHtml(text);
+    const re = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return text.split(re).map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))).join('');
+}
+
+// Preview text: the start of the first prompt, or a window around the first match
+function historySnippet(prompts, terms, size = 150) {
+    const first = prompts[0] || '';
+    for (const p of terms.length ? prompts : []) {
+        const lower = p.toLowerCase();
+        const at = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i >= 0));
+        if (!isFinite(at)) continue;
+        const start = Math.max(0, at - 40);
+        return (start > 0 ? '...' : '') + p.substring(start, start + size) + (p.length > start + size ? '...' : '');
+    }
+    return first.substring(0, size) + (first.length > size ? '...' : '');
+}
+
+// Refill filter dropdowns with the values present in history, keeping the selection
+function updateHistoryFilterOptions(history) {
+    for (const filter of HISTORY_FILTERS) {
+        const select = el(filter.id);
+        if (!select) continue;
+        const values = [...new Set(history.flatMap(h => filter.values(h)).filter(Boolean))].sort();
+        const current = select.value;
+        select.innerHTML = `<option value="">${filter.label}</option>` +
+            values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+        select.value = values.includes(current) ? current : '';
+    }
+}
+
+function renderHistoryList() {
+    const container = el('historyList');
+    if (!container) return;
+
+    const history = getHistory();
+    const terms = parseSearchTerms(el('historySearch')?.value || '');
+    const showFavsOnly = el('historyShowFavs')?.checked || false;
+    const dateFrom = el('historyDateFrom')?.value;
+    const dateTo = el('historyDateTo')?.value;
+    const sort = el('historySort')?.value || 'newest';
+
+    // Release thumbnails of deleted entries
+    for (const [id, url] of historyThumbUrls) {
+        if (!history.some(h => h.id === id)) {
+            URL.revokeObjectURL(url);
+            historyThumbUrls.delete(id);
+        }
+    }
+
+    updateHistoryFilterOptions(history);
+
+    let filtered = history;
+
+    // Every term has to match somewhere (prompts, tags or metadata)
+    if (terms.length) {
+        filtered = filtered.filter(h => {
+            const text = historySearchText(h);
+            return terms.every(t => text.includes(t));
+        });
+    }
+
+    if (showFavsOnly) {
+        filtered = filtered.filter(h => h.favorite);
+    }
+
+    for (const filter of HISTORY_FILTERS) {
+        const value = el(filter.id)?.value;
+        if (value) filtered = filtered.filter(h => filter.values(h).includes(value));
+    }
+
+    // Date inputs are local calendar days
+    if (dateFrom) {
+        const from = new Date(`${dateFrom}T00:00:00`).getTime();
+        filtered = filtered.filter(h => new Date(h.timestamp).getTime() >= from);
+    }
+    if (dateTo) {
+        const to = new Date(`${dateTo}T23:59:59.999`).getTime();
+        filtered = filtered.filter(h => new Date(h.timestamp).getTime() <= to);
+    }
+
+    const byDate = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+    filtered = [...filtered].sort(
+        sort === 'oldest' ? (a, b) => byDate(b, a)
+            : sort === 'favorites' ? (a, b) => (b.favorite - a.favorite) || byDate(a, b)
+                : byDate
+    );
+
+    const count = el('historyResultCount');
+    if (count) count.textContent = filtered.length === history.length ? `${history.length} entries` : `${filtered.length} of ${history.length} entries`;
+
+    if (filtered.length === 0) {
+        container.innerHTML = '<div class="history-empty">No prompts found. Generate some!</div>';
+        return;
+    }
+
+    container.innerHTML = filtered.map(entry => {
+        const date = new Date(entry.timestamp);
+        const dateStr = date.toLocaleDateString('id-ID', { day: '2-digit', month: 'short', year: 'numeric' });
+        const timeStr = date.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
+        const promptPreview = historySnippet(entry.prompts, terms);
+        const promptCount = entry.prompts.length;
+        const thumbUrl = getHistoryThumbUrl(entry);
+        const meta = entry.meta || {};
+        const videoStr = meta.source ? `🎬 ${meta.source.video} @ ${meta.source.timecode}` : '';
+        const metaStr = [
+            meta.outputFormat?.toUpperCase(), meta.preset, meta.model, meta.maxChars && `${meta.maxChars} chars`,
+            meta.detection && `🔍 ${detectionLabel(meta.detection)}`,
+            meta.keysUsed?.length && `🔑 ${meta.keysUsed.map(k => k.label).join(', ')}`,
+            videoStr
+        ].filter(Boolean).join(' · ');
+        const tags = (entry.tags || []).map(t =>
+            `<span class="history-tag" data-tag="${escapeHtml(t)}" onclick="filterHistoryByTag(this.dataset.tag)">#${highlightTerms(t, terms)}</span>`
+        ).join('');
+
+        return `
+            <div class="history-item" data-id="${entry.id}">
+                <div class="history-item-header">
+                    ${thumbUrl ? `<img src="${thumbUrl}" alt="" class="history-thumb">` : ''}
+                    <div class="history-content">
+                        <span class="history-date">${dateStr} ${timeStr}</span>
+                        ${metaStr ? `<div class="history-meta">${highlightTerms(metaStr, terms)}</div>` : ''}
+                        ${meta.palette?.length ? `<div class="palette-swatches">${renderPaletteSwatches(meta.palette, true)}</div>` : ''}
+                    </div>
+                    <span class="history-count">${promptCount} prompt${promptCount > 1 ? 's' : ''}</span>
+                    <button class="btn-fav ${entry.favorite ? 'active' : ''}" onclick="toggleHistoryFav(${entry.id})">
+                        ${entry.favorite ? '⭐' : '☆'}
+                    </button>
+                </div>
+                <div class="history-prompt" onclick="loadHistoryItem(${entry.id})">${highlightTerms(promptPreview, terms)}</div>
+                ${tags ? `<div class="history-tags">${tags}</div>` : ''}
+                <div class="history-actions-row">
+                    <button onclick="copyHistoryPrompts(${entry.id})">📋 Copy All</button>
+                    <button onclick="editHistoryTags(${entry.id})">🏷️ Tags</button>
+                    <button onclick="deleteHistoryItem(${entry.id})">🗑️</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Lowercase, trimmed, unique; quotes/brackets/# are dropped since tags end up in markup
+function sanitizeTags(tags) {
+    return [...new Set(tags
+        .filter(t => typeof t === 'string')
+        .map(t => t.replace(/["'<>#]/g, '').trim().toLowerCase())
+        .filter(Boolean))];
+}
+
+async function editHistoryTags(id) {
+    const item = getHistory().find(h => h.id === id);
+    if (!item) return;
+    const input = prompt('Tags (comma separated):', (item.tags || []).join(', '));
+    if (input === null) return;
+    item.tags = sanitizeTags(input.split(','));
+    await idbPut('history', item);
+    renderHistoryList();
+}
+
+function filterHistoryByTag(tag) {
+    const select = el('historyFilterTag');
+    if (!select) return;
+    select.value = tag;
+    renderHistoryList();
+}
+
+function resetHistoryFilters() {
+    for (const id of ['historySearch', 'historyDateFrom', 'historyDateTo', ...HISTORY_FILTERS.map(f => f.id)]) {
+        if (el(id)) el(id).value = '';
+    }
+    if (el('historyShowFavs')) el('historyShowFavs').checked = false;
+    if (el('historySort')) el('historySort').value = 'newest';
+    renderHistoryList();
+}
+
+async function toggleHistoryFav(id) {
+    const item = getHistory().find(h => h.id === id);
+    if (item) {
+        item.favorite = !item.favorite;
+        await idbPut('history', item);
+        renderHistoryList();
+    }
+}
+
+async function loadHistoryItem(id) {
+    const item = getHistory().find(h => h.id === id);
+    if (item) {
+        if (item.imageBlob) setPreviewImage(await fileToDataUrl(item.imageBlob));
+        if (!state.run) {
+            state.prompts = [...item.prompts];
+            state.promptScores = [];
+            updateOutputTextarea();
+        }
+
+        switchTab('pgTab');
+
+        showToast('Prompts loaded! 📜', 'success');
+    }
+}
+
+async function copyHistoryPrompts(id) {
+    const item = getHistory().find(h => h.id === id);
+    if (item) {
+        const text = item.prompts.map((p, i) => `#${i + 1}\n${p}`).join('\n\n');
+        await copyToClipboard(text);
+        showToast('Prompts copied! 📋', 'success');
+    }
+}
+
+async function deleteHistoryItem(id) {
+    await idbDelete('history', id);
+    historyEntries = historyEntries.filter(h => h.id !== id);
+    renderHistoryList();
+    showToast('Entry deleted', 'success');
+}
+
+async function clearAllHistory() {
+    if (confirm('Delete all history? This cannot be undone.')) {
+        await idbClear('history');
+        historyEntries = [];
+        renderHistoryList();
+        showToast('History cleared', 'success');
+    }
+}
+
+// Export shape: no full images; the thumbnail travels as a data URL
+async function serializeHistory() {
+    const entries = [];
+    for (const h of getHistory()) {
+        entries.push({
+            id: h.id,
+            timestamp: h.timestamp,
+            prompts: h.prompts,
+            favorite: h.favorite,
+            tags: h.tags || [],
+            meta: h.meta,
+            thumbnail: h.thumbBlob ? await fileToDataUrl(h.thumbBlob) : null
+        });
+    }
+    return entries;
+}
+
+async function exportHistory() {
+    if (getHistory().length === 0) {
+        showToast('No history to export', 'error');
+        return;
+    }
+    const content = JSON.stringify(await serializeHistory(), null, 2);
+    downloadFile(content, 'promptforge-history.json', 'application/json');
+    showToast('History exported!', 'success');
+}
+
+// Any history export shape -> {id, timestamp, prompts, favorite, tags, meta, imageDataUrl}, or null:
+// - current export: {id, timestamp, prompts, favorite, tags, meta, thumbnail}
+// - pf_prompt_history: {id, timestamp, prompts, imageThumb (truncated, unusable), favorite}
+// - pf_history: {id, thumbnail, prompts, date}
+function normalizeImportedHistory(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.prompts)) return null;
+    const prompts = raw.prompts.filter(p => typeof p === 'string' && p.trim());
+    if (!prompts.length) return null;
+
+    const id = Number(raw.id) || null;
+    const time = new Date(raw.timestamp || raw.date || id || NaN);
+    const thumbnail = typeof raw.thumbnail === 'string' && raw.thumbnail.startsWith('data:image/') ? raw.thumbnail : null;
+    return {
+        id,
+        timestamp: isNaN(time) ? new Date().toISOString() : time.toISOString(),
+        prompts,
+        favorite: !!raw.favorite,
+        tags: Array.isArray(raw.tags) ? sanitizeTags(raw.tags) : [],
+        meta: normalizeImportedMeta(raw.meta),
+        imageDataUrl: thumbnail
+    };
+}
+
+// Only known meta fields with the expected types; imported files are untrusted
+function normalizeImportedMeta(raw) {
+    if (!raw || typeof raw !== 'object') return {};
+    const text = v => (typeof v === 'string' || typeof v === 'number' ? String(v) : undefined);
+    const meta = {};
+    for (const field of ['provider', 'model', 'preset', 'outputFormat', 'target', 'style', 'aspectRatio', 'fileName']) {
+        const value = text(raw[field]);
+        if (value !== undefined) meta[field] = value;
+    }
+
+    const maxChars = parseInt(raw.maxChars, 10);
+    if (Number.isFinite(maxChars)) meta.maxChars = maxChars;
+
+    if (raw.detection && typeof raw.detection === 'object') {
+        meta.detection = {
+            copySpace: text(raw.detection.copySpace) || null,
+            cutout: !!raw.detection.cutout,
+            checker: !!raw.detection.checker
+        };
+    }
+
+    const palette = Array.isArray(raw.palette) ? raw.palette : [];
+    if (palette.length && palette.every(c => /^#[0-9a-f]{6}$/i.test(c?.hex))) {
+        meta.palette = palette.map(c => ({ hex: c.hex, name: text(c.name) || c.hex, share: Number(c.share) || 0 }));
+    }
+
+    if (Array.isArray(raw.keysUsed)) {
+        meta.keysUsed = raw.keysUsed
+            .filter(k => k && typeof k === 'object')
+            .map(k => ({ id: text(k.id) || '', label: text(k.label) || '' }));
+        scrubKeyLabels(meta);
+    }
+
+    if (raw.source && typeof raw.source === 'object') {
+        meta.source = { video: text(raw.source.video) || '', timecode: text(raw.source.timecode) || '' };
+        const seconds = Number(raw.source.seconds);
+        if (Number.isFinite(seconds)) meta.source.seconds = seconds;
+    }
+
+    return meta;
+}
+
+// Entries from a parsed file: a bare array, {entries}/{history}, or a raw localStorage dump
+function extractHistoryEntries(data) {
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object') return [];
+    if (Array.isArray(data.entries)) return data.entries;
+    if (Array.isArray(data.history)) return data.history;
+    const parse = v => (typeof v === 'string' ? JSON.parse(v) : v) || [];
+    return [
+        ...parse(data[CONFIG.STORAGE_KEYS.PROMPT_HISTORY]),
+        ...parse(data[CONFIG.STORAGE_KEYS.HISTORY])
+    ];
+}
+
+function historyContentKey(prompts) {
+    return prompts.map(p => p.trim().toLowerCase()).join('\n');
+}
+
+// Merge entries into history; duplicates (same id + content, or same content) only contribute
+// their favorite flag and tags. Returns {added, skipped, invalid, dropped}; `added` only counts
+// entries that survived the history limit, `dropped` the ones trimmed right away.
+async function mergeHistoryEntries(rawEntries) {
+    const byContent = new Map(historyEntries.map(h => [historyContentKey(h.prompts), h]));
+    const ids = new Set(historyEntries.map(h => h.id));
+    const result = { added: 0, skipped: 0, invalid: 0, dropped: 0 };
+    const addedEntries = [];
+
+    for (const raw of rawEntries) {
+        const h = normalizeImportedHistory(raw);
+        if (!h) {
+            result.invalid++;
+            continue;
+        }
+
+        const key = historyContentKey(h.prompts);
+        const existing = byContent.get(key);
+        if (existing) {
+            const tags = [...new Set([...(existing.tags || []), ...h.tags])];
+            if ((h.favorite && !existing.favorite) || tags.length !== (existing.tags || []).length) {
+                existing.favorite = existing.favorite || h.favorite;
+                existing.tags = tags;
+                await idbPut('history', existing);
+            }
+            result.skipped++;
+            continue;
+        }
+
+        // Same id but different prompts: keep both under distinct ids
+        let id = h.id || new Date(h.timestamp).getTime();
+        while (ids.has(id)) id++;
+
+        const entry = await createHistoryEntry(h.imageDataUrl, h.prompts, h.meta, {
+            id,
+            timestamp: h.timestamp,
+            favorite: h.favorite,
+            tags: h.tags
+        });
+        await idbPut('history', entry);
+        historyEntries.push(entry);
+        ids.add(id);
+        byContent.set(key, entry);
+        addedEntries.push(entry);
     }
 
-    const text = state.prompts.map((p, i) => `#${i + 1}\n${p}`).join('\n\n');
-    await copyToClipboard(text);
-    showToast('All prompts copied! 📋', 'success');
+    sortHistoryByDate(historyEntries);
+    await trimHistory();
+    result.added = addedEntries.filter(e => historyEntries.includes(e)).length;
+    result.dropped = addedEntries.length - result.added;
+    return result;
 }
 
-function clearOutput() {
-    state.prompts = [];
-    el('output').value = '';
-    el('progressBar').style.width = '0%';
-    el('progressPct').textContent = '0%';
+async function importHistory(file) {
+    try {
+        const entries = extractHistoryEntries(JSON.parse(await file.text()));
+        if (!entries.length) throw new Error('No history entries found');
+
+        const { added, skipped, invalid, dropped } = await mergeHistoryEntries(entries);
+        renderHistoryList();
+        const parts = [`${added} added`, `${skipped} duplicate${skipped === 1 ? '' : 's'} skipped`];
+        if (invalid) parts.push(`${invalid} invalid`);
+        if (dropped) parts.push(`${dropped} dropped (history limit ${CONFIG.HISTORY_LIMIT})`);
+        showToast(`History imported: ${parts.join(', ')}`, added ? 'success' : 'default');
+    } catch (err) {
+        showToast(`Import failed: ${err.message}`, 'error');
+    }
 }
 
 // ========================================
-// History Management
+// Template Preset Functions
 // ========================================
-const HISTORY_KEY = 'pf_prompt_history';
-const MAX_HISTORY = 100;
+let __presets = null;
+let editingPresetId = null;
 
-function getHistory() {
-    try {
-        return JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
-    } catch {
-        return [];
-    }
+function createPresetId() {
+    return 'p' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
 }
 
-function saveToHistory(imageDataUrl, prompts) {
-    if (!prompts || prompts.length === 0) return;
+// Parse a number field; blank/invalid gives null, otherwise clamped to [min, max]
+function numberInRange(value, min, max, parse = parseFloat) {
+    const n = parse(value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : null;
+}
 
-    const history = getHistory();
-    const entry = {
-        id: Date.now(),
-        timestamp: new Date().toISOString(),
-        prompts: prompts,
-        imageThumb: imageDataUrl ? imageDataUrl.substring(0, 100) + '...' : null, // Just store hint, not full image
-        favorite: false
+// Coerce stored/imported data into a well-formed preset
+function normalizePreset(raw = {}) {
+    const maxChars = numberInRange(raw.maxChars, 50, 1000, parseInt) || CONFIG.DEFAULT_MAX_CHARS;
+    const minChars = numberInRange(raw.minChars, 0, 1000, parseInt);
+    const defaults = CONFIG.GENERATION_DEFAULTS;
+    return {
+        // Ids end up in inline onclick handlers, so only word characters are kept
+        id: typeof raw.id === 'string' && /^[\w-]+$/.test(raw.id) ? raw.id : createPresetId(),
+        name: String(raw.name || 'Untitled').trim().slice(0, 40) || 'Untitled',
+        style: String(raw.style || '').trim(),
+        aspectRatio: String(raw.aspectRatio || '').trim(),
+        prefix: String(raw.prefix || '').trim(),
+        params: String(raw.params || '').trim(),
+        outputFormat: ['json', 'txt', 'csv', 'stock'].includes(raw.outputFormat) ? raw.outputFormat : '',
+        maxChars,
+        minChars: minChars && minChars < maxChars ? minChars : null,  // null = 85% of maxChars
+        target: TARGET_GENERATORS[raw.target] ? raw.target : '',
+        temperature: numberInRange(raw.temperature, 0, 2) ?? defaults.temperature,
+        topP: numberInRange(raw.topP, 0, 1),
+        topK: numberInRange(raw.topK, 1, 500, parseInt),
+        maxOutputTokens: numberInRange(raw.maxOutputTokens, 64, 65536, parseInt) ?? defaults.maxOutputTokens
     };
+}
 
-    history.unshift(entry);
-
-    // Keep only recent entries
-    while (history.length > MAX_HISTORY) {
-        history.pop();
+function loadPresets() {
+    if (!__presets) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.PRESETS));
+            __presets = Array.isArray(stored) ? stored.map(normalizePreset) : null;
+        } catch {
+            __presets = null;
+        }
+        if (!__presets) __presets = DEFAULT_TEMPLATE_PRESETS.map(normalizePreset);
     }
-
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-    renderHistoryList();
+    return __presets;
 }
 
-function renderHistoryList() {
-    const container = el('historyList');
-    if (!container) return;
+function savePresets() {
+    localStorage.setItem(CONFIG.STORAGE_KEYS.PRESETS, JSON.stringify(loadPresets()));
+    renderPresets();
+}
 
-    const history = getHistory();
-    const searchTerm = (el('historySearch')?.value || '').toLowerCase();
-    const showFavsOnly = el('historyShowFavs')?.checked || false;
+function getActivePreset() {
+    const id = localStorage.getItem(CONFIG.STORAGE_KEYS.ACTIVE_PRESET);
+    return loadPresets().find(p => p.id === id) || null;
+}
 
-    let filtered = history;
+function renderPresets() {
+    const presets = loadPresets();
+    const active = getActivePreset();
 
-    if (searchTerm) {
-        filtered = filtered.filter(h =>
-            h.prompts.some(p => p.toLowerCase().includes(searchTerm))
-        );
+    const select = el('templatePreset');
+    if (select) {
+        select.innerHTML = '<option value="">🧩 No preset</option>' + presets
+            .map(p => `<option value="${escapeHtml(p.id)}">🧩 ${escapeHtml(p.name)}</option>`).join('');
+        select.value = active?.id || '';
     }
 
-    if (showFavsOnly) {
-        filtered = filtered.filter(h => h.favorite);
-    }
+    const list = el('presetList');
+    if (!list) return;
 
-    if (filtered.length === 0) {
-        container.innerHTML = '<div class="history-empty">No prompts found. Generate some!</div>';
+    if (presets.length === 0) {
+        list.innerHTML = '<div class="queue-empty">No presets. Create one below.</div>';
         return;
     }
 
-    container.innerHTML = filtered.map(entry => {
-        const date = new Date(entry.timestamp);
-        const dateStr = date.toLocaleDateString('id-ID', { day: '2-digit', month: 'short', year: 'numeric' });
-        const timeStr = date.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' });
-        const promptPreview = entry.prompts[0]?.substring(0, 150) + (entry.prompts[0]?.length > 150 ? '...' : '');
-        const promptCount = entry.prompts.length;
-
+    list.innerHTML = presets.map((p, idx) => {
+        const chars = p.minChars ? `${p.minChars}–${p.maxChars} chars` : `${p.maxChars} chars`;
+        const detail = [p.style, p.aspectRatio, p.outputFormat.toUpperCase(), TARGET_GENERATORS[p.target] && p.target !== 'none' ? TARGET_GENERATORS[p.target] : '', chars, `t${p.temperature}`]
+            .filter(Boolean).join(' · ');
+        const classes = ['preset-item', p.id === editingPresetId ? 'is-editing' : '', p.id === active?.id ? 'is-active' : ''].join(' ');
         return `
-            <div class="history-item" data-id="${entry.id}">
-                <div class="history-item-header">
-                    <span class="history-date">${dateStr} ${timeStr}</span>
-                    <span class="history-count">${promptCount} prompt${promptCount > 1 ? 's' : ''}</span>
-                    <button class="btn-fav ${entry.favorite ? 'active' : ''}" onclick="toggleHistoryFav(${entry.id})">
-                        ${entry.favorite ? '⭐' : '☆'}
-                    </button>
-                </div>
-                <div class="history-prompt" onclick="loadHistoryItem(${entry.id})">${escapeHtml(promptPreview)}</div>
-                <div class="history-actions-row">
-                    <button onclick="copyHistoryPrompts(${entry.id})">📋 Copy All</button>
-                    <button onclick="deleteHistoryItem(${entry.id})">🗑️</button>
+            <div class="${classes}">
+                <div class="queue-info" onclick="editPreset('${p.id}')">
+                    <div class="queue-name">${escapeHtml(p.name)}</div>
+                    <div class="queue-detail">${escapeHtml(detail)}</div>
                 </div>
+                <button class="btn-remove" onclick="movePreset('${p.id}', -1)" title="Move up" ${idx === 0 ? 'disabled' : ''}>⬆️</button>
+                <button class="btn-remove" onclick="movePreset('${p.id}', 1)" title="Move down" ${idx === presets.length - 1 ? 'disabled' : ''}>⬇️</button>
+                <button class="btn-remove" onclick="duplicatePreset('${p.id}')" title="Duplicate">⧉</button>
+                <button class="btn-remove" onclick="deletePreset('${p.id}')" title="Delete">🗑️</button>
             </div>
         `;
     }).join('');
 }
 
-function toggleHistoryFav(id) {
-    const history = getHistory();
-    const item = history.find(h => h.id === id);
-    if (item) {
-        item.favorite = !item.favorite;
-        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-        renderHistoryList();
-    }
+function fillPresetForm(preset) {
+    const p = preset || normalizePreset({ name: '' });
+    el('presetName').value = preset ? p.name : '';
+    el('presetStyle').value = p.style;
+    el('presetAspectRatio').value = p.aspectRatio;
+    el('presetMaxChars').value = p.maxChars;
+    el('presetMinChars').value = p.minChars ?? '';
+    el('presetTemperature').value = p.temperature;
+    el('presetTopP').value = p.topP ?? '';
+    el('presetTopK').value = p.topK ?? '';
+    el('presetMaxTokens').value = p.maxOutputTokens;
+    el('presetPrefix').value = p.prefix;
+    el('presetParams').value = p.params;
+    el('presetOutputFormat').value = p.outputFormat;
+    el('presetTarget').value = p.target;
 }
 
-function loadHistoryItem(id) {
-    const history = getHistory();
-    const item = history.find(h => h.id === id);
-    if (item) {
-        state.prompts = item.prompts;
-        el('outputList').innerHTML = '';
-        item.prompts.forEach((p, i) => addPromptToOutputTable(i + 1, p));
+function editPreset(id) {
+    editingPresetId = id;
+    fillPresetForm(loadPresets().find(p => p.id === id));
+    renderPresets();
+}
 
-        // Switch to main tab
-        document.querySelectorAll('.ae-tab').forEach(t => t.classList.remove('is-active'));
-        document.querySelectorAll('.ae-panel').forEach(p => p.classList.remove('is-active'));
-        document.querySelector('[data-target="pgTab"]')?.classList.add('is-active');
-        el('pgTab')?.classList.add('is-active');
+function newPreset() {
+    editingPresetId = null;
+    fillPresetForm(null);
+    renderPresets();
+    el('presetName')?.focus();
+}
 
-        showToast('Prompts loaded! 📜', 'success');
+function savePresetForm() {
+    const name = el('presetName').value.trim();
+    if (!name) {
+        showToast('Preset name is required', 'error');
+        return;
     }
+
+    const preset = normalizePreset({
+        id: editingPresetId || undefined,
+        name,
+        style: el('presetStyle').value,
+        aspectRatio: el('presetAspectRatio').value,
+        maxChars: el('presetMaxChars').value,
+        minChars: el('presetMinChars').value,
+        temperature: el('presetTemperature').value,
+        topP: el('presetTopP').value,
+        topK: el('presetTopK').value,
+        maxOutputTokens: el('presetMaxTokens').value,
+        prefix: el('presetPrefix').value,
+        params: el('presetParams').value,
+        outputFormat: el('presetOutputFormat').value,
+        target: el('presetTarget').value
+    });
+
+    const presets = loadPresets();
+    const idx = presets.findIndex(p => p.id === preset.id);
+    if (idx >= 0) presets[idx] = preset;
+    else presets.push(preset);
+
+    editingPresetId = preset.id;
+    savePresets();
+    showToast(`Preset "${preset.name}" saved`, 'success');
 }
 
-async function copyHistoryPrompts(id) {
-    const history = getHistory();
-    const item = history.find(h => h.id === id);
-    if (item) {
-        const text = item.prompts.map((p, i) => `#${i + 1}\n${p}`).join('\n\n');
-        await copyToClipboard(text);
-        showToast('Prompts copied! 📋', 'success');
+function duplicatePreset(id) {
+    const presets = loadPresets();
+    const idx = presets.findIndex(p => p.id === id);
+    if (idx < 0) return;
+
+    const copy = normalizePreset({ ...presets[idx], id: createPresetId(), name: `${presets[idx].name} copy` });
+    presets.splice(idx + 1, 0, copy);
+    editingPresetId = copy.id;
+    fillPresetForm(copy);
+    savePresets();
+}
+
+function deletePreset(id) {
+    const presets = loadPresets();
+    const idx = presets.findIndex(p => p.id === id);
+    if (idx < 0 || !confirm(`Delete preset "${presets[idx].name}"?`)) return;
+
+    presets.splice(idx, 1);
+    if (editingPresetId === id) newPreset();
+    if (localStorage.getItem(CONFIG.STORAGE_KEYS.ACTIVE_PRESET) === id) {
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.ACTIVE_PRESET);
     }
+    savePresets();
 }
 
-function deleteHistoryItem(id) {
-    const history = getHistory().filter(h => h.id !== id);
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
-    renderHistoryList();
-    showToast('Entry deleted', 'success');
+function movePreset(id, delta) {
+    const presets = loadPresets();
+    const idx = presets.findIndex(p => p.id === id);
+    const to = idx + delta;
+    if (idx < 0 || to < 0 || to >= presets.length) return;
+
+    [presets[idx], presets[to]] = [presets[to], presets[idx]];
+    savePresets();
 }
 
-function clearAllHistory() {
-    if (confirm('Delete all history? This cannot be undone.')) {
-        localStorage.removeItem(HISTORY_KEY);
-        renderHistoryList();
-        showToast('History cleared', 'success');
-    }
+function resetPresets() {
+    if (!confirm('Replace all presets with the built-in defaults?')) return;
+    __presets = DEFAULT_TEMPLATE_PRESETS.map(normalizePreset);
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.ACTIVE_PRESET);
+    newPreset();
+    savePresets();
+    showToast('Presets reset to defaults', 'success');
 }
 
-function exportHistory() {
-    const history = getHistory();
-    if (history.length === 0) {
-        showToast('No history to export', 'error');
-        return;
+function exportPresets() {
+    const content = JSON.stringify({ type: 'promptforge-presets', version: 1, presets: loadPresets() }, null, 2);
+    downloadFile(content, 'promptforge-presets.json', 'application/json');
+    showToast('Presets exported!', 'success');
+}
+
+// Merge a shared preset pack: same id replaces, anything else is appended
+async function importPresets(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const incoming = Array.isArray(data) ? data : data?.presets;
+        if (!Array.isArray(incoming)) throw new Error('No presets array found');
+
+        const presets = loadPresets();
+        let added = 0, updated = 0;
+        for (const raw of incoming) {
+            if (!raw || typeof raw !== 'object') continue;
+            const preset = normalizePreset(raw);
+            const idx = presets.findIndex(p => p.id === preset.id);
+            if (idx >= 0) {
+                presets[idx] = preset;
+                updated++;
+            } else {
+                presets.push(preset);
+                added++;
+            }
+        }
+
+        savePresets();
+        showToast(`Presets imported: ${added} added, ${updated} updated`, 'success');
+    } catch (err) {
+        showToast(`Import failed: ${err.message}`, 'error');
     }
-    const content = JSON.stringify(history, null, 2);
-    downloadFile(content, 'promptforge-history.json', 'application/json');
-    showToast('History exported!', 'success');
 }
 
-// ========================================
-// Template Preset Functions
-// ========================================
-function applyTemplatePreset(presetName) {
-    if (!presetName || !TEMPLATE_PRESETS[presetName]) return;
+// Select a preset and carry its output format/target into the action controls
+function applyTemplatePreset(presetId, silent = false) {
+    const preset = loadPresets().find(p => p.id === presetId);
+    if (!preset) {
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.ACTIVE_PRESET);
+        renderPresets();
+        return;
+    }
 
-    const preset = TEMPLATE_PRESETS[presetName];
+    localStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_PRESET, preset.id);
+    if (preset.outputFormat && el('exportFormat')) el('exportFormat').value = preset.outputFormat;
+    if (preset.target && el('targetGenerator')) {
+        el('targetGenerator').value = preset.target;
+        localStorage.setItem(CONFIG.STORAGE_KEYS.TARGET_GENERATOR, preset.target);
+        updateTargetGeneratorUI();
+    }
+    renderPresets();
 
-    if (preset.style) el('styleSelect').value = preset.style;
-    if (preset.aspectRatio) el('aspectRatio').value = preset.aspectRatio;
-    if (preset.prefix !== undefined) el('prefixInput').value = preset.prefix;
-    if (preset.params !== undefined) el('extraParams').value = preset.params;
+    if (!silent) showToast(`Applied ${preset.name} preset`, 'success');
+}
 
-    showToast(`Applied ${presetName} preset`, 'success');
+function initPresetEditor() {
+    const target = el('presetTarget');
+    if (target) {
+        target.innerHTML = '<option value="">Keep target</option>' + Object.entries(TARGET_GENERATORS)
+            .map(([value, label]) => `<option value="${value}">🎯 ${label}</option>`).join('');
+    }
+    renderPresets();
+    newPreset();
 }
 
 // ========================================
@@ -1347,18 +4835,82 @@ function downloadFile(content, filename, mimeType) {
     URL.revokeObjectURL(url);
 }
 
-function exportPrompts() {
-    if (state.prompts.length === 0) {
-        showToast('No prompts to export', 'error');
+function csvCell(value) {
+    const str = String(value ?? '');
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows) {
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function parseStockMetadata(text) {
+    try {
+        const meta = JSON.parse(text);
+        return meta && meta.title && Array.isArray(meta.keywords) ? meta : null;
+    } catch {
+        return null;
+    }
+}
+
+// One row per image: done stock-mode queue items, else the current output
+function collectStockRows() {
+    const rows = [];
+    const queued = queueItems.filter(q => q.status === 'done' && q.outputFormat === 'stock');
+    if (queued.length > 0) {
+        for (const item of queued) {
+            const meta = parseStockMetadata(item.prompts[0]);
+            if (meta) rows.push({ filename: item.name, ...meta });
+        }
+        return rows;
+    }
+
+    const meta = parseStockMetadata(state.prompts[0]);
+    if (meta) rows.push({ filename: state.imageName || 'image.jpg', ...meta });
+    return rows;
+}
+
+// Column layouts of the Adobe Stock and Shutterstock bulk CSV importers
+function exportStockCsv(timestamp) {
+    const rows = collectStockRows();
+    if (rows.length === 0) {
+        showToast('No stock metadata to export', 'error');
         return;
     }
 
+    const adobe = toCsv([
+        ['Filename', 'Title', 'Keywords', 'Category', 'Releases'],
+        ...rows.map(r => [r.filename, r.title, r.keywords.slice(0, 49).join(', '), '', ''])
+    ]);
+    const shutterstock = toCsv([
+        ['Filename', 'Description', 'Keywords', 'Categories', 'Editorial', 'Mature content', 'illustration'],
+        ...rows.map(r => [r.filename, r.description || r.title, r.keywords.join(','), '', 'no', 'no', 'no'])
+    ]);
+
+    downloadFile(adobe, `promptforge-adobe-stock-${timestamp}.csv`, 'text/csv');
+    // Some mobile browsers drop a second download fired in the same tick
+    setTimeout(() => downloadFile(shutterstock, `promptforge-shutterstock-${timestamp}.csv`, 'text/csv'), 500);
+
+    if (rows.some(r => r.filename === 'image.jpg')) {
+        showToast('Exported with placeholder filename — upload from a file to keep its name', 'default');
+    } else {
+        showToast(`Exported ${rows.length} image${rows.length === 1 ? '' : 's'} for Adobe Stock & Shutterstock`, 'success');
+    }
+}
+
+function exportPrompts() {
     const format = el('exportFormat')?.value || 'json';
     const timestamp = new Date().toISOString().slice(0, 10);
-    const prefix = el('prefixInput')?.value.trim() || '';
 
-    // Apply prefix if set
-    const promptsWithPrefix = state.prompts.map(p => prefix ? `${prefix} ${p}` : p);
+    if (format === 'stock') {
+        exportStockCsv(timestamp);
+        return;
+    }
+
+    if (state.prompts.length === 0) {
+        showToast('No prompts to export', 'error');
+        return;
+    }
 
     let content, filename, mimeType;
 
@@ -1366,22 +4918,22 @@ function exportPrompts() {
         case 'json':
             content = JSON.stringify({
                 generated: new Date().toISOString(),
-                count: promptsWithPrefix.length,
-                prompts: promptsWithPrefix
+                count: state.prompts.length,
+                prompts: state.prompts
             }, null, 2);
             filename = `promptforge-${timestamp}.json`;
             mimeType = 'application/json';
             break;
 
         case 'txt':
-            content = promptsWithPrefix.map((p, i) => `#${i + 1}\n${p}`).join('\n\n---\n\n');
+            content = state.prompts.map((p, i) => `#${i + 1}\n${p}`).join('\n\n---\n\n');
             filename = `promptforge-${timestamp}.txt`;
             mimeType = 'text/plain';
             break;
 
         case 'csv':
             content = 'Number,Prompt\n' +
-                promptsWithPrefix.map((p, i) => `${i + 1},"${p.replace(/"/g, '""')}"`).join('\n');
+                state.prompts.map((p, i) => `${i + 1},"${p.replace(/"/g, '""')}"`).join('\n');
             filename = `promptforge-${timestamp}.csv`;
             mimeType = 'text/csv';
             break;
@@ -1395,70 +4947,222 @@ function exportPrompts() {
 }
 
 // ========================================
-// History Management
+// Backup & Restore
 // ========================================
-function getHistory() {
-    try {
-        return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.HISTORY) || '[]');
-    } catch {
-        return [];
+// Bundle: {type, version, createdAt, settings: {storageKey: value}, presets, systemPrompts,
+//          history (export shape), apiKeys (optional, {storageKey: value})}
+const BACKUP_TYPE = 'promptforge-backup';
+const BACKUP_VERSION = 1;
+let pendingRestore = null; // Migrated bundle waiting for confirmation
+
+// Plain settings keys; keys, presets, templates and history get their own sections
+function backupSettingsKeys() {
+    const K = CONFIG.STORAGE_KEYS;
+    const excluded = [
+        ...apiKeyStorageKeys(), K.API_KEYS, K.KEY_VAULT, K.PRESETS, K.SYSTEM_PROMPTS, K.KEY_STATS,
+        K.HISTORY, K.PROMPT_HISTORY, K.HISTORY_MIGRATED
+    ];
+    return Object.values(K).filter(k => !excluded.includes(k));
+}
+
+function apiKeyStorageKeys() {
+    return Object.values(AI_PROVIDERS).map(p => p.storage.keys);
+}
+
+function readStorageKeys(keys) {
+    const out = {};
+    for (const key of keys) {
+        const value = localStorage.getItem(key);
+        if (value !== null) out[key] = value;
     }
+    return out;
 }
 
-function saveToHistory(imageDataUrl, prompts) {
-    const history = getHistory();
+// Each step upgrades a bundle from version N to N + 1
+const BACKUP_MIGRATIONS = {
+    // v0: a raw localStorage dump ({pf_gemini_key: '...', pf_presets: '[...]', ...})
+    0(dump) {
+        const parse = (key) => {
+            try {
+                return typeof dump[key] === 'string' ? JSON.parse(dump[key]) : dump[key] ?? null;
+            } catch {
+                return null;
+            }
+        };
+        const pick = (keys) => Object.fromEntries(keys.filter(k => typeof dump[k] === 'string').map(k => [k, dump[k]]));
+        // Encrypted key strings are useless without the vault they came from
+        const apiKeys = pick(apiKeyStorageKeys().filter(k => !dump[k]?.startsWith?.(VAULT_PREFIX)));
+        return {
+            type: BACKUP_TYPE,
+            version: 1,
+            createdAt: null,
+            settings: pick(backupSettingsKeys()),
+            presets: parse(CONFIG.STORAGE_KEYS.PRESETS),
+            systemPrompts: parse(CONFIG.STORAGE_KEYS.SYSTEM_PROMPTS),
+            history: extractHistoryEntries(dump),
+            apiKeys: Object.keys(apiKeys).length ? apiKeys : null
+        };
+    }
+};
 
-    history.unshift({
-        id: Date.now(),
-        thumbnail: imageDataUrl,
-        prompts,
-        date: new Date().toISOString()
-    });
+function migrateBackup(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Not a backup file');
+    let bundle = data;
+    let version = data.type === BACKUP_TYPE ? Number(data.version) || 0 : 0;
+    if (version === 0 && !Object.keys(data).some(k => k.startsWith('pf_'))) throw new Error('Not a backup file');
+    if (version > BACKUP_VERSION) throw new Error(`Backup version ${version} is newer than this app supports`);
 
-    const trimmed = history.slice(0, 20);
-    localStorage.setItem(CONFIG.STORAGE_KEYS.HISTORY, JSON.stringify(trimmed));
-    renderHistory();
+    while (version < BACKUP_VERSION) {
+        bundle = BACKUP_MIGRATIONS[version](bundle);
+        version++;
+    }
+    return sanitizeBackup(bundle);
 }
 
-function renderHistory() {
-    const container = el('historyList');
-    const history = getHistory();
+// Keep only known keys with the expected types, so a crafted bundle cannot write
+// other localStorage slots (vault, raw presets, plain API keys) on restore
+function sanitizeBackup(bundle) {
+    const pickStrings = (obj, allowed) => Object.fromEntries(Object.entries(obj && typeof obj === 'object' ? obj : {})
+        .filter(([k, v]) => allowed.includes(k) && typeof v === 'string'));
+    const apiKeys = pickStrings(bundle.apiKeys, apiKeyStorageKeys());
+    return {
+        type: BACKUP_TYPE,
+        version: BACKUP_VERSION,
+        createdAt: typeof bundle.createdAt === 'string' ? bundle.createdAt : null,
+        settings: pickStrings(bundle.settings, backupSettingsKeys()),
+        presets: Array.isArray(bundle.presets)
+            ? bundle.presets.filter(p => p && typeof p === 'object').map(normalizePreset)
+            : null,
+        systemPrompts: bundle.systemPrompts && typeof bundle.systemPrompts === 'object'
+            ? pickStrings(bundle.systemPrompts, Object.keys(DEFAULT_SYSTEM_PROMPTS))
+            : null,
+        history: Array.isArray(bundle.history) ? bundle.history : [],
+        apiKeys: Object.keys(apiKeys).length ? apiKeys : null
+    };
+}
 
-    if (history.length === 0) {
-        container.innerHTML = '<p class="empty-history">No history yet</p>';
+async function createBackup() {
+    const includeKeys = el('backupIncludeKeys')?.checked;
+    if (includeKeys && isKeyVaultLocked()) {
+        showToast('Unlock your API keys to include them in the backup', 'error');
         return;
     }
+    if (includeKeys && !confirm('The backup file will contain your API keys in plain text. Continue?')) return;
 
-    container.innerHTML = history.map(item => `
-    <div class="history-item" onclick="loadHistory('${item.id}')">
-      <img src="${item.thumbnail}" alt="Preview" class="history-item-preview">
-      <div class="history-item-text">${escapeHtml(item.prompts[0] || '')}</div>
-      <div class="history-item-date">${formatDate(new Date(item.date))}</div>
-    </div>
-  `).join('');
+    try {
+        const stored = readStorageKeys([CONFIG.STORAGE_KEYS.PRESETS, CONFIG.STORAGE_KEYS.SYSTEM_PROMPTS]);
+        const bundle = {
+            type: BACKUP_TYPE,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            settings: readStorageKeys(backupSettingsKeys()),
+            presets: stored[CONFIG.STORAGE_KEYS.PRESETS] ? loadPresets() : null,
+            systemPrompts: loadSystemPromptOverrides(),
+            history: await serializeHistory(),
+            apiKeys: includeKeys
+                ? Object.fromEntries(apiKeyStorageKeys().map(k => [k, readKeyStore(k)]).filter(([, v]) => v))
+                : null
+        };
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(JSON.stringify(bundle, null, 2), `promptforge-backup-${date}.json`, 'application/json');
+        showToast(`Backup saved (${bundle.history.length} history entries)`, 'success');
+    } catch (err) {
+        showToast(`Backup failed: ${err.message}`, 'error');
+    }
 }
 
-function loadHistory(id) {
-    const history = getHistory();
-    const item = history.find(h => h.id === parseInt(id));
+// What applying the bundle would change, one line per affected area
+function describeRestore(bundle) {
+    const lines = [];
+    const changed = Object.entries(bundle.settings || {}).filter(([k, v]) => localStorage.getItem(k) !== v);
+    if (changed.length) {
+        lines.push(`⚙️ Overwrites ${changed.length} setting${changed.length > 1 ? 's' : ''}: ${changed.map(([k]) => k.replace(/^pf_/, '')).join(', ')}`);
+    }
 
-    if (item) {
-        setPreviewImage(item.thumbnail);
-        state.prompts = item.prompts;
+    if (Array.isArray(bundle.presets)) {
+        const incoming = new Set(bundle.presets.map(p => p?.id));
+        const lost = loadPresets().filter(p => !incoming.has(p.id)).map(p => p.name);
+        lines.push(`🎨 Replaces presets with ${bundle.presets.length} from the backup` +
+            (lost.length ? ` (removes: ${lost.join(', ')})` : ''));
+    }
+
+    const current = loadSystemPromptOverrides();
+    const templates = Object.keys(DEFAULT_SYSTEM_PROMPTS)
+        .filter(kind => (bundle.systemPrompts?.[kind] || null) !== (current[kind] || null));
+    if (bundle.systemPrompts && templates.length) {
+        lines.push(`📝 Overwrites system prompt templates: ${templates.map(k => k.toUpperCase()).join(', ')}`);
+    }
 
-        el('outputSection').style.display = 'block';
-        el('promptsList').innerHTML = '';
-        item.prompts.forEach((p, i) => addPromptToList(i + 1, p));
+    if (bundle.history?.length) {
+        lines.push(`📜 Merges ${bundle.history.length} history entries (duplicates skipped, nothing deleted)`);
+    }
 
-        showToast('Loaded from history', 'success');
+    if (bundle.apiKeys) {
+        for (const provider of Object.values(AI_PROVIDERS)) {
+            const value = bundle.apiKeys[provider.storage.keys];
+            if (value === undefined) continue;
+            lines.push(`🔑 Replaces ${provider.label} keys (${getApiKeys(provider.id).length} → ${value.split(',').filter(Boolean).length})`);
+        }
     }
+
+    return lines;
 }
 
-function clearHistory() {
-    if (confirm('Clear all history?')) {
-        localStorage.removeItem(CONFIG.STORAGE_KEYS.HISTORY);
-        renderHistory();
-        showToast('History cleared', 'success');
+async function previewRestore(file) {
+    let lines;
+    try {
+        pendingRestore = migrateBackup(JSON.parse(await file.text()));
+        lines = describeRestore(pendingRestore);
+    } catch (err) {
+        pendingRestore = null;
+        showToast(`Restore failed: ${err.message}`, 'error');
+        return;
+    }
+
+    const created = pendingRestore.createdAt ? new Date(pendingRestore.createdAt).toLocaleString() : 'unknown date';
+    el('restorePreviewText').innerHTML = `<strong>Backup from ${escapeHtml(created)}</strong>` +
+        (lines.length ? `<ul>${lines.map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>` : '<p>Nothing would change.</p>');
+    el('btnRestoreApply').disabled = !lines.length;
+    el('restorePreview').style.display = '';
+}
+
+function cancelRestore() {
+    pendingRestore = null;
+    el('restorePreview').style.display = 'none';
+}
+
+async function applyRestore() {
+    const bundle = pendingRestore;
+    if (!bundle) return;
+    if (bundle.apiKeys && isKeyVaultLocked()) {
+        showToast('Unlock your API keys before restoring them', 'error');
+        return;
+    }
+
+    try {
+        const allowedSettings = backupSettingsKeys();
+        for (const [key, value] of Object.entries(bundle.settings || {})) {
+            if (allowedSettings.includes(key) && typeof value === 'string') localStorage.setItem(key, value);
+        }
+        if (Array.isArray(bundle.presets)) {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PRESETS, JSON.stringify(bundle.presets.map(normalizePreset)));
+        }
+        if (bundle.systemPrompts && typeof bundle.systemPrompts === 'object') {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.SYSTEM_PROMPTS, JSON.stringify(bundle.systemPrompts));
+        }
+        for (const [key, value] of Object.entries(bundle.apiKeys || {})) {
+            if (apiKeyStorageKeys().includes(key) && typeof value === 'string') writeKeyStore(key, value);
+        }
+        await vaultWrites;
+
+        const { added, dropped } = await mergeHistoryEntries(bundle.history || []);
+        cancelRestore();
+        const limitNote = dropped ? ` (${dropped} dropped by the ${CONFIG.HISTORY_LIMIT} entry limit)` : '';
+        showToast(`Restored! ${added} history entries added${limitNote}. Reloading...`, 'success');
+        // Settings are read all over the UI at startup; a reload applies them everywhere
+        setTimeout(() => location.reload(), 1200);
+    } catch (err) {
+        showToast(`Restore failed: ${err.message}`, 'error');
     }
 }
 
@@ -1493,7 +5197,13 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Load saved settings
     loadSettings();
-    renderHistory();
+    renderKeyVault();
+    if (isKeyVaultLocked()) {
+        el('providerBody').style.display = 'block';
+        el('providerToggle').querySelector('.toggle-arrow').textContent = '▲';
+        showToast('🔒 API keys are encrypted — enter your passphrase in API Settings');
+    }
+    loadHistoryStore();
     updateGenerateButton();
 
     // Tab switching
@@ -1501,14 +5211,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         tab.addEventListener('click', () => {
             const targetId = tab.dataset.target;
             if (!targetId) return;
-
-            // Update tabs
-            document.querySelectorAll('.ae-tab').forEach(t => t.classList.remove('is-active'));
-            tab.classList.add('is-active');
-
-            // Update panels
-            document.querySelectorAll('.ae-panel').forEach(p => p.classList.remove('is-active'));
-            el(targetId)?.classList.add('is-active');
+            switchTab(targetId);
         });
     });
 
@@ -1525,6 +5228,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Provider selection + per-provider model/base URL (saved on change)
+    document.querySelectorAll('input[name="provider"]').forEach(radio => {
+        radio.addEventListener('change', (e) => setActiveProvider(e.target.value));
+    });
+    for (const provider of Object.values(AI_PROVIDERS)) {
+        el(`${provider.id}Model`)?.addEventListener('change', (e) => {
+            saveProviderField(provider.id, 'model', e.target.value);
+        });
+        el(`${provider.id}BaseUrl`)?.addEventListener('change', (e) => {
+            saveProviderField(provider.id, 'baseUrl', e.target.value);
+            renderProviderSettings();
+        });
+    }
+
+    el('streamOutput')?.addEventListener('change', (e) => {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.STREAMING, e.target.checked ? '1' : '0');
+    });
+
     // API key visibility toggle
     el('btnToggleKey')?.addEventListener('click', () => {
         const input = el('geminiKey');
@@ -1541,13 +5262,24 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Save settings
     el('btnSaveSettings')?.addEventListener('click', saveSettings);
 
-    // Image inputs - File upload
+    // Image inputs - File upload (multiple files go to the queue)
     el('fileInput')?.addEventListener('change', async (e) => {
-        if (e.target.files[0]) {
-            await handleImageFile(e.target.files[0]);
-        }
+        await handleImageFiles(e.target.files);
+        e.target.value = '';
     });
 
+    // Video frame picker
+    const videoPlayer = el('videoPlayer');
+    videoPlayer?.addEventListener('loadedmetadata', updateVideoScrubber);
+    videoPlayer?.addEventListener('timeupdate', updateVideoScrubber);
+    el('videoScrubber')?.addEventListener('input', (e) => {
+        videoPlayer.currentTime = parseFloat(e.target.value) || 0;
+    });
+    el('btnGrabFrame')?.addEventListener('click', grabVideoFrame);
+    el('btnQueueFrame')?.addEventListener('click', queueVideoFrame);
+    el('btnAutoPickFrames')?.addEventListener('click', autoPickKeyFrames);
+    el('btnCloseVideo')?.addEventListener('click', closeVideoPicker);
+
     // Camera input (for mobile)
     el('cameraInput')?.addEventListener('change', async (e) => {
         if (e.target.files[0]) {
@@ -1560,6 +5292,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // URL extraction
     el('btnExtractUrl')?.addEventListener('click', extractImageFromUrl);
+    const proxyInput = el('corsProxyUrl');
+    if (proxyInput) proxyInput.value = getCorsProxy();
+    proxyInput?.addEventListener('change', (e) => {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.CORS_PROXY, e.target.value.trim());
+    });
+    const mirrorInput = el('xMirrorHost');
+    if (mirrorInput) mirrorInput.value = getXMirror();
+    mirrorInput?.addEventListener('change', (e) => {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.X_MIRROR, e.target.value.trim());
+        e.target.value = getXMirror();
+    });
     el('urlInput')?.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') extractImageFromUrl();
     });
@@ -1567,33 +5310,127 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Generate
     el('btnGenerate')?.addEventListener('click', generatePrompts);
 
+    // Batch queue
+    el('queueInput')?.addEventListener('change', async (e) => {
+        await enqueueImages(e.target.files);
+        e.target.value = '';
+    });
+    el('btnQueueCurrent')?.addEventListener('click', enqueueCurrentImage);
+    el('btnRunQueue')?.addEventListener('click', () => runQueue());
+    el('btnRetryFailed')?.addEventListener('click', retryFailedQueue);
+    el('btnClearQueueDone')?.addEventListener('click', clearDoneQueue);
+    el('btnClearQueue')?.addEventListener('click', clearQueue);
+    loadQueue().then(() => {
+        consumeSharedItems();
+        processOfflineQueue();
+    });
+    window.addEventListener('online', () => {
+        renderQueue();
+        processOfflineQueue();
+    });
+    window.addEventListener('offline', renderQueue);
+    navigator.serviceWorker?.addEventListener('message', (e) => {
+        if (e.data?.type === 'process-offline-queue') processOfflineQueue();
+    });
+
+    // Target generator formatting
+    el('targetGenerator')?.addEventListener('change', (e) => {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.TARGET_GENERATOR, e.target.value);
+        updateTargetGeneratorUI();
+    });
+    el('sdWeights')?.addEventListener('change', (e) => {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SD_WEIGHTS, e.target.checked ? '1' : '0');
+    });
+
+    // Diversity mode
+    const diversityToggle = el('diversityMode');
+    if (diversityToggle) diversityToggle.checked = isDiversityEnabled();
+    setDiversityMode(isDiversityEnabled());
+    diversityToggle?.addEventListener('change', (e) => setDiversityMode(e.target.checked));
+    const thresholdInput = el('diversityThreshold');
+    if (thresholdInput) thresholdInput.value = Math.round(getDiversityThreshold() * 100);
+    thresholdInput?.addEventListener('change', (e) => {
+        const pct = Math.min(95, Math.max(5, parseInt(e.target.value) || CONFIG.DIVERSITY_DEFAULT_THRESHOLD * 100));
+        e.target.value = pct;
+        localStorage.setItem(CONFIG.STORAGE_KEYS.DIVERSITY_THRESHOLD, String(pct / 100));
+    });
+
+    // Palette hint toggle
+    const paletteToggle = el('paletteHint');
+    if (paletteToggle) paletteToggle.checked = isPaletteHintEnabled();
+    paletteToggle?.addEventListener('change', (e) => {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.PALETTE_HINT, e.target.checked ? '1' : '0');
+    });
+
+    // Image editor
+    el('btnRotateLeft')?.addEventListener('click', () => rotateImage(-1));
+    el('btnRotateRight')?.addEventListener('click', () => rotateImage(1));
+    el('btnSelectRegion')?.addEventListener('click', toggleRegionSelect);
+    el('btnResetEdit')?.addEventListener('click', resetImageEdit);
+
+    // Pause/Resume & Stop
+    el('btnPause')?.addEventListener('click', togglePause);
+    el('btnStop')?.addEventListener('click', stopGeneration);
+
     // Copy all
     el('btnCopyAll')?.addEventListener('click', copyAllPrompts);
 
     // Clear output
     el('btnClear')?.addEventListener('click', clearOutput);
 
-    // Clear history
-    el('btnClearHistory')?.addEventListener('click', clearHistory);
+    // System prompt templates
+    bindCollapsible('systemPromptToggle', 'systemPromptBody');
+    const promptVars = el('systemPromptVars');
+    if (promptVars) promptVars.innerHTML = SYSTEM_PROMPT_VARS.map(v => `<code>{{${v}}}</code>`).join(' ');
+    loadSystemPromptEditor();
+    el('systemPromptFormat')?.addEventListener('change', (e) => loadSystemPromptEditor(e.target.value));
+    el('btnSystemPromptSave')?.addEventListener('click', saveSystemPromptEditor);
+    el('btnSystemPromptReset')?.addEventListener('click', resetSystemPromptEditor);
+    el('btnSystemPromptPreview')?.addEventListener('click', previewSystemPrompt);
+
+    // Backup & restore
+    bindCollapsible('backupToggle', 'backupBody');
+    el('btnBackup')?.addEventListener('click', createBackup);
+    el('restoreFile')?.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        if (file) await previewRestore(file);
+        e.target.value = '';
+    });
+    el('btnRestoreApply')?.addEventListener('click', applyRestore);
+    el('btnRestoreCancel')?.addEventListener('click', cancelRestore);
 
     // Template preset
+    initPresetEditor();
     el('templatePreset')?.addEventListener('change', (e) => {
         applyTemplatePreset(e.target.value);
     });
+    el('btnEditPresets')?.addEventListener('click', () => {
+        const body = el('presetEditorBody');
+        if (body.style.display === 'none') el('presetEditorToggle').click();
+        const active = getActivePreset();
+        if (active) editPreset(active.id);
+        body.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    bindCollapsible('presetEditorToggle', 'presetEditorBody');
+    el('btnPresetSave')?.addEventListener('click', savePresetForm);
+    el('btnPresetNew')?.addEventListener('click', newPreset);
+    el('btnPresetReset')?.addEventListener('click', resetPresets);
+    el('btnPresetExport')?.addEventListener('click', exportPresets);
+    el('presetImportFile')?.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        if (file) await importPresets(file);
+        e.target.value = '';
+    });
 
     // Export button
     el('btnExport')?.addEventListener('click', exportPrompts);
 
-    // Export history
-    el('btnExportHistory')?.addEventListener('click', () => {
-        const history = getHistory();
-        if (history.length === 0) {
-            showToast('No history to export', 'error');
-            return;
-        }
-        const content = JSON.stringify(history, null, 2);
-        downloadFile(content, 'promptforge-history.json', 'application/json');
-        showToast('History exported!', 'success');
+    // Extractor tab
+    el('btnExtractAlts')?.addEventListener('click', runAltExtraction);
+    el('btnCopyExtracted')?.addEventListener('click', copyExtracted);
+    el('extractorFile')?.addEventListener('change', async (e) => {
+        await loadExtractorFile(e.target.files[0]);
+        e.target.value = '';
     });
 
     // License handlers
@@ -1604,36 +5441,58 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     // API Key management
-    el('btnAddGeminiKey')?.addEventListener('click', addGeminiKey);
-    el('newGeminiKeyInput')?.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') addGeminiKey();
+    el('btnAddApiKey')?.addEventListener('click', addApiKey);
+    el('newApiKeyInput')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addApiKey();
+    });
+
+    // API key encryption
+    el('btnVaultEnable')?.addEventListener('click', enableKeyVault);
+    el('btnVaultUnlock')?.addEventListener('click', unlockKeyVault);
+    el('btnVaultLock')?.addEventListener('click', () => lockKeyVault());
+    el('btnVaultChange')?.addEventListener('click', changeVaultPassphrase);
+    el('btnVaultDisable')?.addEventListener('click', disableKeyVault);
+    el('vaultPassphrase')?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && isKeyVaultLocked()) unlockKeyVault();
+    });
+    el('vaultAutoLock')?.addEventListener('change', (e) => {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.VAULT_AUTOLOCK, e.target.value);
+        touchKeyVault();
     });
+    for (const type of ['pointerdown', 'keydown']) {
+        document.addEventListener(type, touchKeyVault, { passive: true });
+    }
+    setInterval(checkVaultAutoLock, 30000);
 
     // History tab handlers
     el('historySearch')?.addEventListener('input', renderHistoryList);
     el('historyShowFavs')?.addEventListener('change', renderHistoryList);
+    for (const id of ['historyDateFrom', 'historyDateTo', 'historySort', ...HISTORY_FILTERS.map(f => f.id)]) {
+        el(id)?.addEventListener('change', renderHistoryList);
+    }
+    el('btnResetHistoryFilters')?.addEventListener('click', resetHistoryFilters);
     el('btnClearHistory')?.addEventListener('click', clearAllHistory);
     el('btnExportHistory')?.addEventListener('click', exportHistory);
-
-    // Initial history render
-    renderHistoryList();
+    el('historyImportFile')?.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        if (file) await importHistory(file);
+        e.target.value = '';
+    });
 
     // Global paste listener
     document.addEventListener('paste', async (e) => {
         const items = e.clipboardData?.items;
         if (!items) return;
 
-        for (const item of items) {
-            if (item.type.startsWith('image/')) {
-                const file = item.getAsFile();
-                if (file) {
-                    await handleImageFile(file);
-                    showToast('Image pasted! 📋', 'success');
-                    e.preventDefault();
-                    return;
-                }
-            }
-        }
+        const files = Array.from(items)
+            .filter(item => item.type.startsWith('image/'))
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+        if (files.length === 0) return;
+
+        e.preventDefault();
+        await handleImageFiles(files);
+        if (files.length === 1) showToast('Image pasted! 📋', 'success');
     });
 });
 
@@ -1641,11 +5500,25 @@ document.addEventListener('DOMContentLoaded', async () => {
 window.copyPrompt = copyPrompt;
 window.copyMachineId = copyMachineId;
 window.activateLicense = activateLicense;
-window.removeGeminiKey = removeGeminiKey;
+window.removeApiKey = removeApiKey;
+window.editPreset = editPreset;
+window.duplicatePreset = duplicatePreset;
+window.deletePreset = deletePreset;
+window.movePreset = movePreset;
+window.testApiKey = testApiKey;
+window.toggleApiKeyDisabled = toggleApiKeyDisabled;
 window.toggleHistoryFav = toggleHistoryFav;
 window.loadHistoryItem = loadHistoryItem;
 window.copyHistoryPrompts = copyHistoryPrompts;
 window.deleteHistoryItem = deleteHistoryItem;
+window.editHistoryTags = editHistoryTags;
+window.filterHistoryByTag = filterHistoryByTag;
+window.previewQueueItem = previewQueueItem;
+window.retryQueueItem = retryQueueItem;
+window.removeQueueItem = removeQueueItem;
+window.sendExtractedImageToPreview = sendExtractedImageToPreview;
+window.previewVideoFrame = previewVideoFrame;
+window.queueVideoFrames = queueVideoFrames;
 
 // Copy Output Button Handler
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,213 @@
+/**
+ * PromptForge Mobile - Image Detector Worker
+ * Runs copy-space and cutout/checkerboard detection
+ * and dominant color palette extraction off the main thread
+ * Message in: {id, blob} - message out: {id, result: {copySpace, cutout, palette}} or {id, error}
+ */
+
+function detectCopySpace(bmp) {
+    const W0 = bmp.width, H0 = bmp.height;
+    if (!W0 || !H0) return { isCopySpace: false, side: null, score: 0 };
+
+    const max = 256, s = Math.min(1, max / Math.max(W0, H0));
+    const W = Math.max(48, Math.round(W0 * s)), H = Math.max(48, Math.round(H0 * s));
+    const cvs = new OffscreenCanvas(W, H), ctx = cvs.getContext("2d", { alpha: false });
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(bmp, 0, 0, W, H);
+    const { data } = ctx.getImageData(0, 0, W, H);
+
+    // Convert to grayscale and compute gradient
+    const gray = new Float32Array(W * H);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    }
+
+    // Simple edge detection
+    const grad = new Float32Array(W * H);
+    for (let y = 1; y < H - 1; y++) {
+        for (let x = 1; x < W - 1; x++) {
+            const i = y * W + x;
+            const gx = gray[i + 1] - gray[i - 1];
+            const gy = gray[i + W] - gray[i - W];
+            grad[i] = Math.sqrt(gx * gx + gy * gy);
+        }
+    }
+
+    // Analyze sides for low activity
+    const band = 0.35;
+    function analyzeRegion(x0, y0, x1, y1) {
+        let sum = 0, cnt = 0;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                sum += grad[y * W + x];
+                cnt++;
+            }
+        }
+        return sum / (cnt || 1);
+    }
+
+    const left = analyzeRegion(0, 0, Math.round(W * band), H);
+    const right = analyzeRegion(Math.round(W * (1 - band)), 0, W, H);
+    const top = analyzeRegion(0, 0, W, Math.round(H * band));
+    const bottom = analyzeRegion(0, Math.round(H * (1 - band)), W, H);
+    const center = analyzeRegion(Math.round(W * 0.3), Math.round(H * 0.3), Math.round(W * 0.7), Math.round(H * 0.7));
+
+    const threshold = center * 0.4;
+    let side = null, minActivity = Infinity;
+    if (left < threshold && left < minActivity) { side = "left"; minActivity = left; }
+    if (right < threshold && right < minActivity) { side = "right"; minActivity = right; }
+    if (top < threshold && top < minActivity) { side = "top"; minActivity = top; }
+    if (bottom < threshold && bottom < minActivity) { side = "bottom"; minActivity = bottom; }
+
+    return { isCopySpace: !!side, side, score: side ? (center - minActivity) / center : 0 };
+}
+
+// Detect cutout (transparency) or checkerboard pattern
+function detectCutoutOrCheckerboard(bmp) {
+    const W0 = bmp.width, H0 = bmp.height;
+    if (!W0 || !H0) return { cutout: false, checker: false };
+
+    const W = 192, H = Math.max(96, Math.round(H0 * (W / W0)));
+    const cvs = new OffscreenCanvas(W, H);
+    const ctx = cvs.getContext("2d", { alpha: true });
+    ctx.drawImage(bmp, 0, 0, W, H);
+    const { data } = ctx.getImageData(0, 0, W, H);
+
+    // Check for transparency
+    let alphaZero = 0, sample = 0;
+    for (let y = 0; y < H; y += 2) {
+        for (let x = 0; x < W; x += 2) {
+            const i = (y * W + x) * 4;
+            if (data[i + 3] < 10) alphaZero++;
+            sample++;
+        }
+    }
+    const cutout = alphaZero / Math.max(1, sample) > 0.25;
+
+    // Simple checkerboard detection
+    let whiteCount = 0, grayCount = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
+        if (a > 240) {
+            const v = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+            if (v > 245) whiteCount++;
+            else if (v > 200 && v < 220) grayCount++;
+        }
+    }
+    const total = data.length / 4;
+    const checker = (whiteCount > total * 0.1) && (grayCount > total * 0.1);
+
+    return { cutout, checker };
+}
+
+// Reference colors for naming palette entries (nearest match wins)
+const COLOR_NAMES = [
+    ['black', 0, 0, 0], ['charcoal', 54, 69, 79], ['dark gray', 90, 90, 90], ['gray', 128, 128, 128],
+    ['silver', 192, 192, 192], ['light gray', 220, 220, 220], ['white', 255, 255, 255], ['ivory', 255, 250, 235],
+    ['cream', 245, 235, 200], ['beige', 225, 205, 170], ['tan', 210, 180, 140], ['khaki', 195, 176, 120],
+    ['brown', 120, 72, 40], ['dark brown', 70, 45, 25], ['chocolate', 123, 63, 0], ['rust', 183, 65, 14],
+    ['maroon', 128, 0, 0], ['burgundy', 128, 0, 32], ['red', 210, 30, 30], ['crimson', 220, 20, 60],
+    ['coral', 255, 127, 80], ['salmon', 250, 128, 114], ['pink', 255, 182, 193], ['hot pink', 255, 105, 180],
+    ['magenta', 200, 0, 150], ['purple', 128, 0, 128], ['lavender', 200, 180, 230], ['violet', 140, 80, 200],
+    ['indigo', 75, 0, 130], ['navy blue', 0, 0, 110], ['blue', 30, 90, 220], ['royal blue', 65, 105, 225],
+    ['sky blue', 135, 206, 235], ['light blue', 190, 220, 240], ['steel blue', 70, 130, 180], ['teal', 0, 128, 128],
+    ['turquoise', 64, 224, 208], ['cyan', 0, 200, 220], ['mint green', 170, 240, 200], ['green', 40, 150, 60],
+    ['forest green', 34, 90, 34], ['olive green', 110, 120, 40], ['lime green', 150, 220, 50], ['sage green', 160, 175, 140],
+    ['yellow', 245, 220, 40], ['mustard yellow', 210, 170, 40], ['gold', 212, 175, 55], ['orange', 245, 140, 30],
+    ['peach', 255, 210, 170], ['amber', 255, 180, 0]
+];
+
+function nameColor(r, g, b) {
+    let best = COLOR_NAMES[0][0], bestDist = Infinity;
+    for (const [name, cr, cg, cb] of COLOR_NAMES) {
+        // Weighted RGB distance, closer to perceived difference than plain RGB
+        const dist = 2 * (r - cr) ** 2 + 4 * (g - cg) ** 2 + 3 * (b - cb) ** 2;
+        if (dist < bestDist) { best = name; bestDist = dist; }
+    }
+    return best;
+}
+
+function toHex(r, g, b) {
+    return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+// k-means on a downscaled copy; returns up to 8 colors ({hex, name, share}) by coverage
+function extractPalette(bmp, k = 8) {
+    const s = Math.min(1, 96 / Math.max(bmp.width, bmp.height));
+    const W = Math.max(1, Math.round(bmp.width * s)), H = Math.max(1, Math.round(bmp.height * s));
+    const ctx = new OffscreenCanvas(W, H).getContext("2d", { alpha: true });
+    ctx.drawImage(bmp, 0, 0, W, H);
+    const { data } = ctx.getImageData(0, 0, W, H);
+
+    // Transparent pixels are not part of the subject's palette
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] >= 128) pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+    if (pixels.length === 0) return [];
+
+    const dist = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+
+    // Deterministic farthest-point seeding, so the same image always gives the same palette
+    const centers = [pixels[Math.floor(pixels.length / 2)].slice()];
+    while (centers.length < k) {
+        let far = null, farDist = -1;
+        for (let i = 0; i < pixels.length; i += 3) {
+            const d = Math.min(...centers.map(c => dist(c, pixels[i])));
+            if (d > farDist) { far = pixels[i]; farDist = d; }
+        }
+        if (!far || farDist < 100) break;
+        centers.push(far.slice());
+    }
+
+    const assign = new Uint8Array(pixels.length);
+    for (let iter = 0; iter < 10; iter++) {
+        const sums = centers.map(() => [0, 0, 0, 0]);
+        pixels.forEach((p, i) => {
+            let best = 0, bestDist = Infinity;
+            centers.forEach((c, ci) => {
+                const d = dist(c, p);
+                if (d < bestDist) { best = ci; bestDist = d; }
+            });
+            assign[i] = best;
+            const sum = sums[best];
+            sum[0] += p[0]; sum[1] += p[1]; sum[2] += p[2]; sum[3]++;
+        });
+        sums.forEach((sum, ci) => {
+            if (sum[3]) centers[ci] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+        });
+    }
+
+    const counts = centers.map(() => 0);
+    for (const ci of assign) counts[ci]++;
+
+    // Tiny clusters are noise; keep at least 5 colors when the image has them
+    const ranked = centers
+        .map((c, ci) => ({ c, share: counts[ci] / pixels.length }))
+        .filter(e => e.share > 0)
+        .sort((a, b) => b.share - a.share);
+    const kept = ranked.filter((e, i) => i < 5 || e.share >= 0.03);
+
+    return kept.map(({ c, share }) => ({
+        hex: toHex(c[0], c[1], c[2]),
+        name: nameColor(c[0], c[1], c[2]),
+        share: Math.round(share * 1000) / 1000
+    }));
+}
+
+// Detectors throw instead of guessing, so a failure is reported as {id, error} and never cached as "nothing found"
+self.addEventListener('message', async (event) => {
+    const { id, blob } = event.data;
+    let bmp = null;
+    try {
+        bmp = await createImageBitmap(blob);
+        const copySpace = detectCopySpace(bmp);
+        const cutout = detectCutoutOrCheckerboard(bmp);
+        const palette = extractPalette(bmp);
+        self.postMessage({ id, result: { copySpace, cutout, palette } });
+    } catch (e) {
+        self.postMessage({ id, error: e.message || String(e) });
+    } finally {
+        bmp?.close();
+    }
+});
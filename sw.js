@@ -3,12 +3,14 @@
  * Enables offline caching and PWA installation
  */
 
-const CACHE_NAME = 'promptforge-mobile-v26';
+const CACHE_NAME = 'promptforge-mobile-v30';
+const SHARE_CACHE = 'promptforge-share';  // Hands shared files over to the page
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
     './styles.css',
     './app.js',
+    './detector-worker.js',
     './manifest.json',
     './icon.svg'
 ];
@@ -27,15 +29,70 @@ self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then(names => {
             return Promise.all(
-                names.filter(name => name !== CACHE_NAME)
+                names.filter(name => name !== CACHE_NAME && name !== SHARE_CACHE)
                     .map(name => caches.delete(name))
             );
         }).then(() => self.clients.claim())
     );
 });
 
+// Background Sync - generations queued while offline.
+// API keys are only readable by the page, so wake an open window to run them,
+// or tell the user to open the app.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== 'pf-offline-queue') return;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            if (windows.length > 0) {
+                windows.forEach(client => client.postMessage({ type: 'process-offline-queue' }));
+                return;
+            }
+            return self.registration.showNotification('PromptForge', {
+                body: 'Back online — open PromptForge to finish your queued generations',
+                icon: 'icon.svg',
+                tag: 'pf-offline-queue'
+            });
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            if (windows.length > 0) return windows[0].focus();
+            return self.clients.openWindow('./index.html?app=mobile');
+        })
+    );
+});
+
+// Share Target - stash shared images/URL, then open the app to pick them up
+async function handleShareTarget(request) {
+    const form = await request.formData();
+    const files = form.getAll('images').filter(f => f && typeof f !== 'string' && f.size > 0);
+    const meta = {
+        title: form.get('title') || '',
+        text: form.get('text') || '',
+        url: form.get('url') || '',
+        files: files.map((f, i) => ({ key: `./shared/${i}`, name: f.name || `shared-${i + 1}.jpg`, type: f.type }))
+    };
+
+    await caches.delete(SHARE_CACHE);
+    const cache = await caches.open(SHARE_CACHE);
+    await Promise.all(files.map((f, i) => cache.put(meta.files[i].key, new Response(f, { headers: { 'Content-Type': f.type } }))));
+    await cache.put('./shared/meta', new Response(JSON.stringify(meta), { headers: { 'Content-Type': 'application/json' } }));
+
+    return Response.redirect('./index.html?app=mobile&share=1', 303);
+}
+
 // Fetch - Network first, fallback to cache
 self.addEventListener('fetch', (event) => {
+    if (event.request.method === 'POST' && new URL(event.request.url).pathname.endsWith('/share-target')) {
+        event.respondWith(handleShareTarget(event.request));
+        return;
+    }
+
     // Skip non-GET and API requests
     if (event.request.method !== 'GET' ||
         event.request.url.includes('generativelanguage.googleapis.com')) {